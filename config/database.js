@@ -26,117 +26,69 @@ const pool = new Pool({
   ssl: sslOption
 });
 
-// Database schema initialization
-const initDatabase = async () => {
-  try {
-    console.log('🔄 Initializing database...');
-
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        email VARCHAR(255) UNIQUE NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create polls table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS polls (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        creator_id UUID REFERENCES users(id) ON DELETE CASCADE,
-        start_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        end_date TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Add image_url column for poll cover image if not exists
-    await pool.query(`
-      ALTER TABLE polls
-      ADD COLUMN IF NOT EXISTS image_url TEXT
-    `);
-
-    // Create poll_options table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS poll_options (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
-        text VARCHAR(255) NOT NULL,
-        description TEXT,
-        vote_count INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// SQL expression for an option's vote count (expects poll_options as po joined with polls as p).
+// Multiple-choice ballots count once for every selected option and score ballots once for
+// every rated option; other poll types count the vote's own option (the first preference
+// of a ranked ballot)
+const optionVoteCountSql = `
+  CASE WHEN p.poll_type IN ('multiple', 'score')
+    THEN (SELECT COUNT(*) FROM vote_selections vs WHERE vs.option_id = po.id)
+    ELSE (SELECT COUNT(*) FROM vote_records vr WHERE vr.option_id = po.id)
+  END
+`;
 
-    // Add description column if not exists
-    await pool.query(`
-      ALTER TABLE poll_options
-      ADD COLUMN IF NOT EXISTS description TEXT
-    `);
-
-    // Create poll_option_images table for multiple images per option
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS poll_option_images (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
-        image_url TEXT NOT NULL,
-        is_primary BOOLEAN DEFAULT false,
-        display_order INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Helper function to update vote counts
+// Pass the client of an open transaction so the count includes its uncommitted votes
+const updateVoteCount = async (optionId, db = null) => {
+  const recount = async (client) => {
+    const result = await client.query(
+      `SELECT ${optionVoteCountSql} as count
+       FROM poll_options po
+       JOIN polls p ON po.poll_id = p.id
+       WHERE po.id = $1`,
+      [optionId]
+    );
 
-    // Create vote_records table (修復：移除 DATE 函數)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS vote_records (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
-        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
-        voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, poll_id)
-      )
-    `);
+    await client.query(
+      'UPDATE poll_options SET vote_count = $1 WHERE id = $2',
+      [parseInt(result.rows[0].count), optionId]
+    );
+  };
 
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_polls_creator_id ON polls(creator_id);
-      CREATE INDEX IF NOT EXISTS idx_poll_options_poll_id ON poll_options(poll_id);
-      CREATE INDEX IF NOT EXISTS idx_vote_records_user_poll ON vote_records(user_id, poll_id);
-      CREATE INDEX IF NOT EXISTS idx_vote_records_poll_id ON vote_records(poll_id);
-      CREATE INDEX IF NOT EXISTS idx_poll_option_images_option_id ON poll_option_images(option_id);
-    `);
+  if (db) {
+    return recount(db);
+  }
 
-    console.log('✅ Database initialized successfully');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await recount(client);
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Database initialization failed:', error);
+    await client.query('ROLLBACK');
     throw error;
+  } finally {
+    client.release();
   }
 };
 
-// Helper function to update vote counts
-const updateVoteCount = async (optionId) => {
+// Read a query's rows in batches through a server-side cursor, so large results (e.g. exports)
+// never sit in memory at once; onBatch is awaited before the next batch is fetched
+const forEachRowBatch = async (sql, params, onBatch, batchSize = 1000) => {
   const client = await pool.connect();
   try {
-    await client.query('BEGIN');
-
-    const result = await client.query(
-      'SELECT COUNT(*) as count FROM vote_records WHERE option_id = $1',
-      [optionId]
-    );
-
-    await client.query(
-      'UPDATE poll_options SET vote_count = $1 WHERE id = $2',
-      [parseInt(result.rows[0].count), optionId]
-    );
+    await client.query('BEGIN READ ONLY');
+    await client.query(`DECLARE row_batches NO SCROLL CURSOR FOR ${sql}`, params);
+
+    for (;;) {
+      const result = await client.query(`FETCH ${batchSize} FROM row_batches`);
+      if (result.rows.length > 0) {
+        await onBatch(result.rows);
+      }
+      if (result.rows.length < batchSize) {
+        break;
+      }
+    }
 
     await client.query('COMMIT');
   } catch (error) {
@@ -149,6 +101,7 @@ const updateVoteCount = async (optionId) => {
 
 module.exports = {
   pool,
-  initDatabase,
-  updateVoteCount
+  optionVoteCountSql,
+  updateVoteCount,
+  forEachRowBatch
 };
\ No newline at end of file
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+// Versioned schema migrations
+// Each file in migrations/ is named <version>_<name>.js (e.g. 002_add_poll_tags.js) and exports
+// up(db) and optionally down(db); both get a client inside a transaction that also records the
+// change in schema_migrations, so a migration is applied completely or not at all
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Postgres advisory lock held while migrating, so instances starting together take turns
+const MIGRATION_LOCK_KEY = 741852963;
+
+// Migration files in version order
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version,
+            name,
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && parseInt(migration.version) === parseInt(migrations[index - 1].version)) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+};
+
+// Run fn with a dedicated client while holding the migration lock
+const withMigrationLock = async (fn) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+};
+
+// Applied migrations, oldest first
+const getAppliedMigrations = async (client) => {
+    const result = await client.query(
+        'SELECT version, name, applied_at FROM schema_migrations ORDER BY applied_at, version'
+    );
+    return result.rows;
+};
+
+const runInTransaction = async (client, fn) => {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+};
+
+// Apply pending migrations, up to and including version `to` if given
+// Resolves to the migrations that were applied
+const migrate = async ({ to = null } = {}) => {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const applied = new Set((await getAppliedMigrations(client)).map(row => parseInt(row.version)));
+
+        if (applied.size === 0) {
+            const existing = await client.query("SELECT to_regclass('public.users') IS NOT NULL as has_users");
+            if (existing.rows[0].has_users) {
+                // Databases set up before migrations existed are adopted by the (idempotent) baseline
+                console.log('🔄 Adopting existing database as the baseline schema...');
+            }
+        }
+
+        const pending = migrations.filter(migration => !applied.has(parseInt(migration.version))
+            && (to === null || parseInt(migration.version) <= parseInt(to)));
+
+        for (const migration of pending) {
+            console.log(`🔄 Applying migration ${migration.version}_${migration.name}...`);
+            await runInTransaction(client, async () => {
+                await migration.up(client);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+            });
+        }
+
+        console.log(pending.length > 0
+            ? `✅ Applied ${pending.length} migration(s)`
+            : '✅ Database schema is up to date');
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    });
+};
+
+// Roll back the most recent migrations: `steps` of them, or every one after version `to`
+// Resolves to the migrations that were rolled back
+const rollback = async ({ steps = 1, to = null } = {}) => {
+    const migrations = new Map(loadMigrations().map(migration => [parseInt(migration.version), migration]));
+
+    return withMigrationLock(async (client) => {
+        const applied = (await getAppliedMigrations(client))
+            .sort((a, b) => parseInt(b.version) - parseInt(a.version));
+
+        const targets = to === null
+            ? applied.slice(0, steps)
+            : applied.filter(row => parseInt(row.version) > parseInt(to));
+
+        // Check everything first, so a rollback doesn't stop halfway at a migration without a down step
+        for (const row of targets) {
+            const migration = migrations.get(parseInt(row.version));
+            if (!migration) {
+                throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${row.version}_${row.name} cannot be rolled back`);
+            }
+        }
+
+        for (const row of targets) {
+            const migration = migrations.get(parseInt(row.version));
+            console.log(`🔄 Rolling back migration ${row.version}_${row.name}...`);
+            await runInTransaction(client, async () => {
+                await migration.down(client);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+            });
+        }
+
+        console.log(`✅ Rolled back ${targets.length} migration(s)`);
+
+        return targets.map(({ version, name }) => ({ version, name }));
+    });
+};
+
+// Every migration with when it was applied (null if pending)
+const getMigrationStatus = async () => {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const applied = new Map((await getAppliedMigrations(client)).map(row => [parseInt(row.version), row]));
+
+        return migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.has(parseInt(version)) ? applied.get(parseInt(version)).applied_at : null
+        }));
+    });
+};
+
+// Create an empty migration file with the next version; resolves to its path
+const createMigration = async (name) => {
+    const migrations = loadMigrations();
+    const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+    const version = String(last + 1).padStart(3, '0');
+    const file = path.join(MIGRATIONS_DIR, `${version}_${name}.js`);
+
+    fs.writeFileSync(file, `const up = async (db) => {
+    await db.query(\`
+    \`);
+};
+
+const down = async (db) => {
+    await db.query(\`
+    \`);
+};
+
+module.exports = { up, down };
+`);
+
+    return file;
+};
+
+module.exports = {
+    MIGRATION_FILE_PATTERN,
+    migrate,
+    rollback,
+    getMigrationStatus,
+    createMigration
+};
@@ -1,6 +1,10 @@
 const redis = require('redis');
 
 let client;
+let subscriberReady;
+
+// Run after every (re)connection, once the client is ready (see onRedisReady)
+const readyListeners = [];
 
 const connectRedis = async () => {
     try {
@@ -18,6 +22,10 @@ const connectRedis = async () => {
             console.log('✅ Connected to Redis');
         });
 
+        client.on('ready', () => {
+            readyListeners.forEach(listener => listener());
+        });
+
         await client.connect();
     } catch (error) {
         console.error('❌ Redis connection failed:', error);
@@ -25,32 +33,119 @@ const connectRedis = async () => {
     }
 };
 
-// Check if user has voted for a poll today
-const hasVotedToday = async (userId, pollId) => {
+// Check if user is blocked from voting in a poll (by the poll's vote frequency policy)
+// Returns { nextEligibleAt } when blocked, null otherwise
+const getVoteBlock = async (userId, pollId) => {
     try {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const key = `vote:${userId}:${pollId}:${today}`;
+        const key = `vote_block:${userId}:${pollId}`;
         const result = await client.get(key);
-        return result === 'voted';
+        if (!result) {
+            return null;
+        }
+        return { nextEligibleAt: result === 'never' ? null : result };
     } catch (error) {
-        console.error('Redis hasVotedToday error:', error);
-        return false; // Fail open - allow vote if Redis is down
+        console.error('Redis getVoteBlock error:', error);
+        return null; // Fail open - the database check still applies
     }
 };
 
-// Mark user as voted for a poll today
-const markAsVoted = async (userId, pollId) => {
+// Block user from voting in a poll until nextEligibleAt (null means no further votes)
+const setVoteBlock = async (userId, pollId, nextEligibleAt) => {
     try {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const key = `vote:${userId}:${pollId}:${today}`;
-        // Set expiration to 25 hours to account for timezone differences
-        await client.setEx(key, 25 * 60 * 60, 'voted');
+        const key = `vote_block:${userId}:${pollId}`;
+        if (nextEligibleAt) {
+            const ttl = Math.ceil((new Date(nextEligibleAt).getTime() - Date.now()) / 1000);
+            if (ttl > 0) {
+                await client.setEx(key, ttl, new Date(nextEligibleAt).toISOString());
+            }
+        } else {
+            // Once-only polls: keep the marker for 30 days, the database check covers the rest
+            await client.setEx(key, 30 * 24 * 60 * 60, 'never');
+        }
     } catch (error) {
-        console.error('Redis markAsVoted error:', error);
+        console.error('Redis setVoteBlock error:', error);
         // Don't throw - logging is sufficient
     }
 };
 
+// Remove the voting block for a user and poll
+const clearVoteBlock = async (userId, pollId) => {
+    try {
+        await client.del(`vote_block:${userId}:${pollId}`);
+    } catch (error) {
+        console.error('Redis clearVoteBlock error:', error);
+    }
+};
+
+// Count a hit against a fixed-window rate limit; resolves to the number of hits in the current window
+const incrementRateLimit = async (key, windowSeconds) => {
+    try {
+        const redisKey = `rate_limit:${key}`;
+        const count = await client.incr(redisKey);
+        if (count === 1) {
+            await client.expire(redisKey, windowSeconds);
+        }
+        return count;
+    } catch (error) {
+        console.error('Redis incrementRateLimit error:', error);
+        return 0; // Fail open - allow the request if Redis is down
+    }
+};
+
+// Number of hits in a rate limit's current window (0 if none, or if Redis is down)
+const getRateLimitCount = async (key) => {
+    try {
+        const count = await client.get(`rate_limit:${key}`);
+        return count ? parseInt(count) : 0;
+    } catch (error) {
+        console.error('Redis getRateLimitCount error:', error);
+        return 0;
+    }
+};
+
+// Reset a rate limit
+const clearRateLimit = async (key) => {
+    try {
+        await client.del(`rate_limit:${key}`);
+    } catch (error) {
+        console.error('Redis clearRateLimit error:', error);
+    }
+};
+
+// Check if sign-ins are blocked for an account or IP (after repeated failures)
+// Returns { locked, retryAfter } (seconds) when blocked, null otherwise
+const getLoginBlock = async (key) => {
+    try {
+        const redisKey = `login_block:${key}`;
+        const [value, ttl] = await Promise.all([client.get(redisKey), client.ttl(redisKey)]);
+        if (!value || ttl <= 0) {
+            return null;
+        }
+        return { locked: value === 'locked', retryAfter: ttl };
+    } catch (error) {
+        console.error('Redis getLoginBlock error:', error);
+        return null; // Fail open - sign-ins go ahead if Redis is down
+    }
+};
+
+// Block sign-ins for an account or IP: a short delay, or a lockout when locked is true
+const setLoginBlock = async (key, seconds, locked) => {
+    try {
+        await client.setEx(`login_block:${key}`, seconds, locked ? 'locked' : 'delayed');
+    } catch (error) {
+        console.error('Redis setLoginBlock error:', error);
+    }
+};
+
+// Lift a sign-in block
+const clearLoginBlock = async (key) => {
+    try {
+        await client.del(`login_block:${key}`);
+    } catch (error) {
+        console.error('Redis clearLoginBlock error:', error);
+    }
+};
+
 // Cache poll results
 const cachePollResults = async (pollId, results, ttl = 300) => { // 5 minutes default
     try {
@@ -73,17 +168,15 @@ const getCachedPollResults = async (pollId) => {
     }
 };
 
-// Store JWT token (for logout functionality)
-const storeToken = async (token, userId, expirationTime) => {
+// Clear cached poll results (after votes or poll changes)
+const clearPollResultsCache = async (pollId) => {
     try {
         if (!client || !client.isReady) {
-            console.warn('Redis client not ready, skipping token storage');
             return;
         }
-        const key = `token:${token}`;
-        await client.setEx(key, expirationTime, userId);
+        await client.del(`poll_results:${pollId}`);
     } catch (error) {
-        console.error('Redis storeToken error:', error);
+        console.error('Redis clearPollResultsCache error:', error);
     }
 };
 
@@ -110,21 +203,191 @@ const blacklistToken = async (token, expirationTime) => {
             console.warn('Redis client not ready, skipping token blacklist');
             return;
         }
-        const key = `blacklist:${blacklistToken}`;
+        const key = `blacklist:${token}`;
         await client.setEx(key, expirationTime, 'blacklisted');
     } catch (error) {
         console.error('Redis blacklistToken error:', error);
     }
 };
 
+// Mark sessions as revoked so their access tokens stop working before they expire
+// (ttl should cover the access token lifetime; the database is the record of revoked sessions)
+// Resolves to false if they couldn't all be marked
+const revokeSessionTokens = async (sessionIds, ttl) => {
+    try {
+        if (!client || !client.isReady) {
+            console.warn('Redis client not ready, skipping session revocation');
+            return false;
+        }
+        for (const sessionId of sessionIds) {
+            await client.setEx(`revoked_session:${sessionId}`, ttl, 'revoked');
+        }
+        return true;
+    } catch (error) {
+        console.error('Redis revokeSessionTokens error:', error);
+        return false;
+    }
+};
+
+// Check if a session has been marked revoked; resolves to null when Redis can't tell
+// (not ready or failing), so callers can ask the database instead (see isSessionRevoked in services/sessions.js)
+const isSessionMarkedRevoked = async (sessionId) => {
+    try {
+        if (!client || !client.isReady) {
+            return null;
+        }
+        const result = await client.get(`revoked_session:${sessionId}`);
+        return result === 'revoked';
+    } catch (error) {
+        console.error('Redis isSessionMarkedRevoked error:', error);
+        return null;
+    }
+};
+
+// Store a short-lived single-use value (e.g. OAuth state); resolves to false if Redis is unavailable
+const storeEphemeral = async (key, value, ttlSeconds) => {
+    try {
+        if (!client || !client.isReady) {
+            console.warn('Redis client not ready, cannot store ephemeral value');
+            return false;
+        }
+        await client.setEx(`ephemeral:${key}`, ttlSeconds, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error('Redis storeEphemeral error:', error);
+        return false;
+    }
+};
+
+// Read and delete a value stored with storeEphemeral (null if missing, expired or already taken)
+const consumeEphemeral = async (key) => {
+    try {
+        if (!client || !client.isReady) {
+            return null;
+        }
+        const result = await client.getDel(`ephemeral:${key}`);
+        return result ? JSON.parse(result) : null;
+    } catch (error) {
+        console.error('Redis consumeEphemeral error:', error);
+        return null;
+    }
+};
+
+// Take a short-lived lock shared by all API instances; resolves to a release token, or null if
+// another instance holds it. Resolves to undefined when Redis is unavailable, so callers can
+// decide whether to go ahead without the lock
+const acquireLock = async (name, ttlSeconds) => {
+    try {
+        if (!client || !client.isReady) {
+            console.warn('Redis client not ready, skipping lock');
+            return undefined;
+        }
+        const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+        const result = await client.set(`lock:${name}`, token, { NX: true, EX: ttlSeconds });
+        return result === 'OK' ? token : null;
+    } catch (error) {
+        console.error('Redis acquireLock error:', error);
+        return undefined;
+    }
+};
+
+// Release a lock, but only if it is still ours (it may have expired and been taken by someone else)
+const releaseLock = async (name, token) => {
+    try {
+        if (!token || !client || !client.isReady) {
+            return;
+        }
+        await client.eval(
+            "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+            { keys: [`lock:${name}`], arguments: [token] }
+        );
+    } catch (error) {
+        console.error('Redis releaseLock error:', error);
+    }
+};
+
+// Lazily open a dedicated connection for pub/sub (a subscribed client can't run other commands)
+const getSubscriber = () => {
+    if (!subscriberReady) {
+        const subscriber = client.duplicate();
+        subscriber.on('error', (err) => {
+            console.error('Redis subscriber error:', err);
+        });
+        subscriberReady = subscriber.connect()
+            .then(() => subscriber)
+            .catch((error) => {
+                subscriberReady = null;
+                throw error;
+            });
+    }
+    return subscriberReady;
+};
+
+// Publish updated poll results to every API instance
+const publishPollUpdate = async (pollId, payload) => {
+    try {
+        if (!client || !client.isReady) {
+            console.warn('Redis client not ready, skipping poll update publish');
+            return;
+        }
+        await client.publish(`poll_updates:${pollId}`, JSON.stringify(payload));
+    } catch (error) {
+        console.error('Redis publishPollUpdate error:', error);
+    }
+};
+
+// Subscribe to poll result updates; resolves to an unsubscribe function
+const subscribePollUpdates = async (pollId, listener) => {
+    const channel = `poll_updates:${pollId}`;
+    const subscriber = await getSubscriber();
+    const handler = (message) => {
+        try {
+            listener(JSON.parse(message));
+        } catch (error) {
+            console.error('Poll update listener error:', error);
+        }
+    };
+
+    await subscriber.subscribe(channel, handler);
+
+    return async () => {
+        try {
+            await subscriber.unsubscribe(channel, handler);
+        } catch (error) {
+            console.error('Redis unsubscribe error:', error);
+        }
+    };
+};
+
+// Call listener every time Redis (re)connects, e.g. to put back state written while it was unreachable
+const onRedisReady = (listener) => {
+    readyListeners.push(listener);
+};
+
 module.exports = {
     connectRedis,
-    hasVotedToday,
-    markAsVoted,
+    onRedisReady,
+    getVoteBlock,
+    setVoteBlock,
+    clearVoteBlock,
+    incrementRateLimit,
+    getRateLimitCount,
+    clearRateLimit,
+    getLoginBlock,
+    setLoginBlock,
+    clearLoginBlock,
     cachePollResults,
     getCachedPollResults,
-    storeToken,
+    clearPollResultsCache,
     isTokenBlacklisted,
     blacklistToken,
+    revokeSessionTokens,
+    isSessionMarkedRevoked,
+    storeEphemeral,
+    consumeEphemeral,
+    publishPollUpdate,
+    subscribePollUpdates,
+    acquireLock,
+    releaseLock,
     getClient: () => client
 };
\ No newline at end of file
@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const { isTokenBlacklisted } = require('../config/redis');
+const { isSessionRevoked } = require('../services/sessions');
+const { hasPermission } = require('../services/roles');
+
+// Account access tokens belong to a session (see services/sessions.js) and stop working when it is revoked
+// Tokens issued before sessions existed carry no session id and are no longer accepted
+const isSessionInvalid = async (decoded) => !decoded.sid || await isSessionRevoked(decoded.sid);
 
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -18,6 +24,21 @@ const authenticateToken = async (req, res, next) => {
 
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Guest voter tokens only work on routes that accept guests
+        if (decoded.type === 'guest') {
+            return res.status(403).json({ error: 'Guest tokens cannot be used for this action' });
+        }
+
+        // Other signed tokens (such as poll invites) are not access tokens
+        if (decoded.type) {
+            return res.status(403).json({ error: 'Invalid token' });
+        }
+
+        if (await isSessionInvalid(decoded)) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
         req.user = decoded;
         req.token = token;
         next();
@@ -49,7 +70,9 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        req.user = decoded.type || await isSessionInvalid(decoded) ? null : decoded;
+        // Guest voters are recognised (e.g. to show results after they vote) but are not users
+        req.guest = decoded.type === 'guest' ? { guestId: decoded.guestId } : null;
         req.token = token;
     } catch (error) {
         req.user = null;
@@ -58,7 +81,68 @@ const optionalAuth = async (req, res, next) => {
     next();
 };
 
+// Accept either an account token or a guest voter token (see POST /api/votes/guest-token)
+// Sets req.user for accounts, or req.guest ({ guestId }) for guests
+const authenticateVoter = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token or guest token required' });
+    }
+
+    try {
+        const blacklisted = await isTokenBlacklisted(token);
+        if (blacklisted) {
+            return res.status(401).json({ error: 'Token has been invalidated' });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.type === 'guest') {
+            req.user = null;
+            req.guest = { guestId: decoded.guestId };
+        } else if (decoded.type) {
+            return res.status(403).json({ error: 'Invalid token' });
+        } else if (await isSessionInvalid(decoded)) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        } else {
+            req.user = decoded;
+            req.guest = null;
+        }
+        req.token = token;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Token expired' });
+        }
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(403).json({ error: 'Invalid token' });
+        }
+        return res.status(500).json({ error: 'Token verification failed' });
+    }
+};
+
+// Only let through users with one of the given roles (use after authenticateToken)
+// The role comes from the access token; changing a user's role signs them out (see routes/admin.js)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+};
+
+// Only let through users whose role has a permission (see services/roles.js; use after authenticateToken)
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+};
+
 module.exports = {
     authenticateToken,
-    optionalAuth
+    optionalAuth,
+    authenticateVoter,
+    requireRole,
+    requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,431 @@
+// Baseline: the schema as initDatabase left it before migrations existed
+// Every statement is idempotent, so running it on a database created by initDatabase (of any age)
+// brings it up to date and adopts it; keep it that way, and put new changes in new migrations
+const up = async (db) => {
+    // Create users table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add email verification flag if not exists
+    await db.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false
+    `);
+
+    // Create user_tokens table (single-use email verification and password reset tokens)
+    // Only a SHA-256 hash of each token is stored; the token itself is only ever emailed
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add role (user, moderator, admin) and suspension columns if not exist (see services/roles.js)
+    await db.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user',
+      ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS suspended_reason TEXT
+    `);
+
+    // Accounts created through single sign-on have no password
+    await db.query(`
+      ALTER TABLE users
+      ALTER COLUMN password DROP NOT NULL
+    `);
+
+    // Add two-factor authentication columns if not exist (see services/twoFactor.js)
+    // Secrets are stored encrypted; totp_last_counter keeps a code from being accepted twice
+    await db.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT
+    `);
+
+    // Create recovery_codes table (one-time codes for signing in without the authenticator app)
+    // Only a SHA-256 hash of each code is stored; the codes are shown once when generated
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create user_identities table (external OpenID Connect accounts linked to users)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP,
+        UNIQUE(provider, subject),
+        UNIQUE(user_id, provider)
+      )
+    `);
+
+    // Create user_sessions table (one row per signed-in device; access tokens carry its id)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(30)
+      )
+    `);
+
+    // Create refresh_tokens table (every refresh token a session was issued, stored as a SHA-256 hash)
+    // A token is used once; presenting a used token again revokes the session (see services/sessions.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create polls table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS polls (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        creator_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        start_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        end_date TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add image_url column for poll cover image if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS image_url TEXT
+    `);
+
+    // Add poll_type column (single, ranked, multiple, score) if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS poll_type VARCHAR(20) DEFAULT 'single'
+    `);
+
+    // Add selection limits for multiple-choice polls if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS min_selections INTEGER,
+      ADD COLUMN IF NOT EXISTS max_selections INTEGER
+    `);
+
+    // Add score range for score polls if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS score_min INTEGER,
+      ADD COLUMN IF NOT EXISTS score_max INTEGER
+    `);
+
+    // Add vote frequency policy columns if not exist (see services/votePolicy.js)
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS vote_frequency VARCHAR(20) DEFAULT 'daily',
+      ADD COLUMN IF NOT EXISTS votes_per_day INTEGER,
+      ADD COLUMN IF NOT EXISTS vote_cooldown_minutes INTEGER
+    `);
+
+    // Add grace window (in minutes) for changing or retracting a vote if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS vote_change_window_minutes INTEGER DEFAULT 0
+    `);
+
+    // Allow guest (account-less) votes if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS allow_guest_votes BOOLEAN DEFAULT false
+    `);
+
+    // Add visibility column (public, unlisted, private) if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) DEFAULT 'public'
+    `);
+
+    // Add results visibility column (always, after_vote, after_end, creator) if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS results_visibility VARCHAR(20) DEFAULT 'always'
+    `);
+
+    // Track when the scheduler opened and closed a poll if not exists (see services/pollScheduler.js)
+    // Existing polls count as already opened; scheduled polls are inserted with opened_at NULL
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP
+    `);
+
+    // Require a verified email address to vote if not exists
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS require_verified_email BOOLEAN DEFAULT false
+    `);
+
+    // Create poll_options table
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_options (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        text VARCHAR(255) NOT NULL,
+        description TEXT,
+        vote_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add description column if not exists
+    await db.query(`
+      ALTER TABLE poll_options
+      ADD COLUMN IF NOT EXISTS description TEXT
+    `);
+
+    // Add display_order column if not exists (options used to be ordered by created_at)
+    await db.query(`
+      ALTER TABLE poll_options
+      ADD COLUMN IF NOT EXISTS display_order INTEGER
+    `);
+
+    // Backfill the order of options created before display_order existed
+    await db.query(`
+      UPDATE poll_options po
+      SET display_order = ordered.position
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY poll_id ORDER BY created_at) - 1 as position
+        FROM poll_options
+      ) ordered
+      WHERE po.id = ordered.id AND po.display_order IS NULL
+    `);
+
+    // Create poll_option_images table for multiple images per option
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_option_images (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
+        image_url TEXT NOT NULL,
+        is_primary BOOLEAN DEFAULT false,
+        display_order INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Remember where uploaded images live so they can be deleted from storage
+    // (images uploaded before this column existed fall back to parsing their URL)
+    await db.query(`
+      ALTER TABLE poll_option_images
+      ADD COLUMN IF NOT EXISTS storage_key TEXT
+    `);
+
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS image_storage_key TEXT
+    `);
+
+    // Create vote_records table (修復：移除 DATE 函數)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS vote_records (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
+        voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Allow repeat votes - the poll's vote frequency policy decides how often a user may vote
+    await db.query(`
+      ALTER TABLE vote_records
+      DROP CONSTRAINT IF EXISTS vote_records_user_id_poll_id_key
+    `);
+
+    // Track when a vote was last changed
+    await db.query(`
+      ALTER TABLE vote_records
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP
+    `);
+
+    // Guest votes have no user_id and are identified by their guest voter token instead
+    await db.query(`
+      ALTER TABLE vote_records
+      ADD COLUMN IF NOT EXISTS guest_id UUID,
+      ADD COLUMN IF NOT EXISTS voter_ip VARCHAR(45)
+    `);
+
+    // Create vote_selections table for ballots that cover several options (ranked, multiple choice, score)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS vote_selections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vote_id UUID REFERENCES vote_records(id) ON DELETE CASCADE,
+        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
+        rank INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(vote_id, option_id)
+      )
+    `);
+
+    // Add score column for score poll ballots if not exists
+    await db.query(`
+      ALTER TABLE vote_selections
+      ADD COLUMN IF NOT EXISTS score INTEGER
+    `);
+
+    // Create vote_history table (audit trail of casting, changing and retracting votes)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS vote_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        vote_id UUID NOT NULL,
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        previous_ballot JSONB,
+        ballot JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create poll_invites table (invite links and access codes for private polls)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_invites (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        code VARCHAR(32) UNIQUE NOT NULL,
+        label VARCHAR(100),
+        max_uses INTEGER,
+        use_count INTEGER DEFAULT 0,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create poll_access_grants table (users who redeemed an invite to a private poll)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_access_grants (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        invite_id UUID REFERENCES poll_invites(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(poll_id, user_id)
+      )
+    `);
+
+    // Moderators can hide polls, options and option images (see services/moderation.js)
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS hidden_reason TEXT
+    `);
+
+    await db.query(`
+      ALTER TABLE poll_options
+      ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS hidden_reason TEXT
+    `);
+
+    await db.query(`
+      ALTER TABLE poll_option_images
+      ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS hidden_reason TEXT
+    `);
+
+    // Create content_reports table (user reports of polls, options and images)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS content_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        target_type VARCHAR(20) NOT NULL,
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
+        image_id UUID REFERENCES poll_option_images(id) ON DELETE CASCADE,
+        reporter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason VARCHAR(30) NOT NULL,
+        details TEXT,
+        status VARCHAR(20) DEFAULT 'open',
+        resolution VARCHAR(20),
+        resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create moderation_actions table (log of every moderation decision and its reason)
+    // Target ids are not foreign keys so the log outlives removed content
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS moderation_actions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        target_type VARCHAR(20) NOT NULL,
+        target_id UUID NOT NULL,
+        poll_id UUID,
+        report_id UUID,
+        action VARCHAR(20) NOT NULL,
+        reason TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create indexes for better performance
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_polls_creator_id ON polls(creator_id);
+      CREATE INDEX IF NOT EXISTS idx_polls_scheduled_start ON polls(start_date) WHERE opened_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_polls_active_end ON polls(end_date) WHERE is_active = true AND end_date IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_poll_options_poll_id ON poll_options(poll_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_records_user_poll ON vote_records(user_id, poll_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_records_poll_id ON vote_records(poll_id);
+      CREATE INDEX IF NOT EXISTS idx_poll_option_images_option_id ON poll_option_images(option_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_selections_vote_id ON vote_selections(vote_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_selections_option_id ON vote_selections(option_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_history_vote_id ON vote_history(vote_id);
+      CREATE INDEX IF NOT EXISTS idx_vote_records_guest_poll ON vote_records(guest_id, poll_id);
+      CREATE INDEX IF NOT EXISTS idx_poll_invites_poll_id ON poll_invites(poll_id);
+      CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+      CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+      CREATE INDEX IF NOT EXISTS idx_content_reports_status ON content_reports(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_content_reports_poll_id ON content_reports(poll_id);
+      CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+    `);
+};
+
+// No down step: rolling back the baseline would drop every table
+module.exports = { up };
@@ -0,0 +1,16 @@
+// Anonymous polls keep voter identities from their creator (vote lists and exports leave them out)
+const up = async (db) => {
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS anonymous_votes BOOLEAN DEFAULT false
+    `);
+};
+
+const down = async (db) => {
+    await db.query(`
+      ALTER TABLE polls
+      DROP COLUMN IF EXISTS anonymous_votes
+    `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Saved poll templates: a poll's settings, options and images kept under a name to create polls from.
+// Templates and duplicated polls reuse the stored images of the poll they came from, so images are only
+// removed from storage once nothing refers to them (image_urls and the image_url indexes make that lookup cheap)
+const up = async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_templates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        poll_data JSONB NOT NULL,
+        image_urls TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_poll_templates_image_urls ON poll_templates USING GIN (image_urls);
+      CREATE INDEX IF NOT EXISTS idx_polls_image_url ON polls(image_url);
+      CREATE INDEX IF NOT EXISTS idx_poll_option_images_image_url ON poll_option_images(image_url);
+    `);
+};
+
+const down = async (db) => {
+    await db.query(`
+      DROP INDEX IF EXISTS idx_poll_option_images_image_url;
+      DROP INDEX IF EXISTS idx_polls_image_url;
+      DROP TABLE IF EXISTS poll_templates;
+    `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Poll categories and free-form tags (see services/pollTags.js)
+const up = async (db) => {
+    await db.query(`
+      ALTER TABLE polls
+      ADD COLUMN IF NOT EXISTS category VARCHAR(30)
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS poll_tags (
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        tag VARCHAR(30) NOT NULL,
+        PRIMARY KEY (poll_id, tag)
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_polls_category ON polls(category);
+      CREATE INDEX IF NOT EXISTS idx_poll_tags_tag ON poll_tags(tag);
+    `);
+};
+
+const down = async (db) => {
+    await db.query(`
+      DROP TABLE IF EXISTS poll_tags;
+      DROP INDEX IF EXISTS idx_polls_category;
+      ALTER TABLE polls DROP COLUMN IF EXISTS category;
+    `);
+};
+
+module.exports = { up, down };
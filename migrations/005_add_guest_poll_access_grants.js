@@ -0,0 +1,22 @@
+// Guests who redeem an invite to a private poll keep their access too (see services/pollAccess.js)
+const up = async (db) => {
+    await db.query(`
+      ALTER TABLE poll_access_grants
+      ADD COLUMN IF NOT EXISTS guest_id UUID
+    `);
+
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_poll_access_grants_poll_guest
+      ON poll_access_grants(poll_id, guest_id)
+    `);
+};
+
+const down = async (db) => {
+    await db.query(`
+      DELETE FROM poll_access_grants WHERE guest_id IS NOT NULL;
+      DROP INDEX IF EXISTS idx_poll_access_grants_poll_guest;
+      ALTER TABLE poll_access_grants DROP COLUMN IF EXISTS guest_id;
+    `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,284 @@
+const express = require('express');
+const Joi = require('joi');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../services/roles');
+const { revokeSessions } = require('../services/sessions');
+const { refreshPollResults } = require('../services/pollResults');
+const { deletePoll } = require('../services/pollDeletion');
+const { deactivatePoll } = require('../services/pollScheduler');
+const { getAccountLockout, unlockAccount } = require('../services/loginProtection');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user; each route checks its own permission
+router.use(authenticateToken);
+
+const formatUser = (user) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.email_verified,
+    suspendedAt: user.suspended_at,
+    suspendedReason: user.suspended_reason,
+    pollCount: parseInt(user.poll_count),
+    createdAt: user.created_at
+});
+
+// List and search users
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = (page - 1) * limit;
+        const search = req.query.search || '';
+
+        let whereClause = 'WHERE 1 = 1';
+        const queryParams = [];
+        let paramCount = 1;
+
+        if (search) {
+            whereClause += ` AND (u.name ILIKE $${paramCount} OR u.email ILIKE $${paramCount})`;
+            queryParams.push(`%${search}%`);
+            paramCount++;
+        }
+
+        if (ROLES.includes(req.query.role)) {
+            whereClause += ` AND u.role = $${paramCount}`;
+            queryParams.push(req.query.role);
+            paramCount++;
+        }
+
+        if (req.query.status === 'suspended') {
+            whereClause += ' AND u.suspended_at IS NOT NULL';
+        } else if (req.query.status === 'active') {
+            whereClause += ' AND u.suspended_at IS NULL';
+        }
+
+        const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM users u ${whereClause}
+    `, queryParams);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        queryParams.push(limit, offset);
+        const usersResult = await pool.query(`
+      SELECT u.id, u.name, u.email, u.role, u.email_verified, u.suspended_at, u.suspended_reason, u.created_at,
+        (SELECT COUNT(*) FROM polls p WHERE p.creator_id = u.id) as poll_count
+      FROM users u
+      ${whereClause}
+      ORDER BY u.created_at DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, queryParams);
+
+        res.json({
+            users: usersResult.rows.map(formatUser),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin users fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Get one user
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+      SELECT u.id, u.name, u.email, u.role, u.email_verified, u.suspended_at, u.suspended_reason, u.created_at,
+        (SELECT COUNT(*) FROM polls p WHERE p.creator_id = u.id) as poll_count
+      FROM users u
+      WHERE u.id = $1
+    `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = result.rows[0];
+
+        res.json({
+            user: {
+                ...formatUser(user),
+                loginLockout: await getAccountLockout(user.email)
+            }
+        });
+    } catch (error) {
+        console.error('Admin user fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// Change a user's role (the user is signed out so the new role applies right away)
+router.put('/users/:id/role', requirePermission('users:manage_roles'), async (req, res) => {
+    try {
+        const roleSchema = Joi.object({
+            role: Joi.string().valid(...ROLES).required()
+        });
+
+        const { error, value } = roleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        // Keeps admins from locking themselves out
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+
+        const result = await pool.query(`
+      UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, email, role
+    `, [value.role, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await revokeSessions(req.params.id, { reason: 'role_changed' });
+
+        res.json({
+            message: 'Role updated successfully',
+            user: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Admin role update error:', error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+// Suspend an account (signs the user out everywhere and blocks signing in)
+router.post('/users/:id/suspend', requirePermission('users:suspend'), async (req, res) => {
+    try {
+        const suspendSchema = Joi.object({
+            reason: Joi.string().max(500).optional().allow('')
+        });
+
+        const { error, value } = suspendSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot suspend your own account' });
+        }
+
+        const result = await pool.query(`
+      UPDATE users
+      SET suspended_at = COALESCE(suspended_at, CURRENT_TIMESTAMP), suspended_reason = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, email, suspended_at, suspended_reason
+    `, [value.reason || null, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await revokeSessions(req.params.id, { reason: 'suspended' });
+
+        res.json({
+            message: 'User suspended successfully',
+            user: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Admin suspend error:', error);
+        res.status(500).json({ error: 'Failed to suspend user' });
+    }
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', requirePermission('users:suspend'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+      UPDATE users
+      SET suspended_at = NULL, suspended_reason = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, name, email, suspended_at
+    `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            message: 'User unsuspended successfully',
+            user: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Admin unsuspend error:', error);
+        res.status(500).json({ error: 'Failed to unsuspend user' });
+    }
+});
+
+// Lift a sign-in lockout (after repeated failed password attempts) and reset the failed attempts
+router.post('/users/:id/unlock', requirePermission('users:unlock'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, name, email FROM users WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = result.rows[0];
+        await unlockAccount(user.email);
+
+        res.json({
+            message: 'User unlocked successfully',
+            user,
+            loginLockout: await getAccountLockout(user.email)
+        });
+    } catch (error) {
+        console.error('Admin unlock error:', error);
+        res.status(500).json({ error: 'Failed to unlock user' });
+    }
+});
+
+// Deactivate any poll (like its creator deactivating it, it stops taking votes and leaves the listing)
+router.post('/polls/:id/deactivate', requirePermission('polls:deactivate_any'), async (req, res) => {
+    try {
+        const poll = await deactivatePoll(req.params.id);
+        if (!poll) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        await refreshPollResults(req.params.id);
+
+        res.json({
+            message: 'Poll deactivated successfully',
+            poll
+        });
+    } catch (error) {
+        console.error('Admin poll deactivate error:', error);
+        res.status(500).json({ error: 'Failed to deactivate poll' });
+    }
+});
+
+// Delete any poll
+router.delete('/polls/:id', requirePermission('polls:delete_any'), async (req, res) => {
+    try {
+        const pollResult = await pool.query('SELECT id FROM polls WHERE id = $1', [req.params.id]);
+
+        if (pollResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        await deletePoll(req.params.id);
+
+        res.json({ message: 'Poll deleted successfully' });
+    } catch (error) {
+        console.error('Admin poll delete error:', error);
+        res.status(500).json({ error: 'Failed to delete poll' });
+    }
+});
+
+module.exports = router;
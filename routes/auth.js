@@ -1,10 +1,25 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { pool } = require('../config/database');
-const { storeToken, blacklistToken } = require('../config/redis');
+const { blacklistToken, incrementRateLimit, storeEphemeral, consumeEphemeral } = require('../config/redis');
 const { authenticateToken } = require('../middleware/auth');
+const { consumeUserToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const {
+    REFRESH_TOKEN_TTL_DAYS, createSession, rotateRefreshToken, revokeSessions, listSessions
+} = require('../services/sessions');
+const {
+    getOidcConfig, createAuthorizationUrl, completeAuthorization, findOrCreateUser, linkIdentity
+} = require('../services/oidc');
+const {
+    getTwoFactorStatus, startEnrollment, confirmEnrollment, disableTwoFactor, regenerateRecoveryCodes,
+    createLoginChallenge, completeLoginChallenge
+} = require('../services/twoFactor');
+const {
+    getLoginLockout, recordLoginFailure, recordLoginSuccess, unlockAccount
+} = require('../services/loginProtection');
 
 const router = express.Router();
 
@@ -20,6 +35,133 @@ const loginSchema = Joi.object({
     password: Joi.string().required()
 });
 
+const tokenSchema = Joi.object({
+    token: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+    code: Joi.string().max(20).required()
+});
+
+// A code from the authenticator app or one of the recovery codes
+const secondFactorSchema = Joi.object({
+    code: Joi.string().max(20),
+    recoveryCode: Joi.string().max(50)
+}).xor('code', 'recoveryCode');
+
+const twoFactorLoginSchema = secondFactorSchema.keys({
+    challengeToken: Joi.string().required()
+});
+
+// Limits for requesting verification and password reset emails (per hour)
+const VERIFICATION_EMAILS_PER_USER = 3;
+const RESET_EMAILS_PER_ADDRESS = 3;
+const RESET_REQUESTS_PER_IP = 10;
+
+// Limits for two-factor codes (per 15 minutes): sign-in challenges, and codes entered in account settings
+// (each challenge also allows only a few wrong codes, see services/twoFactor.js)
+const TWO_FACTOR_CHALLENGES_PER_USER = 10;
+const TWO_FACTOR_ATTEMPTS_PER_USER = 10;
+
+// Same response whether or not the address has an account, so it can't be used to look up users
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email, a password reset link has been sent';
+
+// With REFRESH_TOKEN_COOKIE=true refresh tokens are kept in an httpOnly cookie (for browsers)
+// instead of being returned in the response body
+const REFRESH_COOKIE_NAME = 'refresh_token';
+const useRefreshCookie = process.env.REFRESH_TOKEN_COOKIE === 'true';
+
+const refreshCookieOptions = () => {
+    const sameSite = process.env.REFRESH_TOKEN_COOKIE_SAMESITE || 'strict';
+    return {
+        httpOnly: true,
+        sameSite,
+        secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+        path: '/api/auth'
+    };
+};
+
+// Token fields for a response to a new or refreshed session (sets the refresh cookie if enabled)
+const sessionTokens = (res, session) => {
+    if (useRefreshCookie) {
+        res.cookie(REFRESH_COOKIE_NAME, session.refreshToken, {
+            ...refreshCookieOptions(),
+            maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+        });
+        return { token: session.accessToken, expiresIn: session.expiresIn };
+    }
+    return { token: session.accessToken, refreshToken: session.refreshToken, expiresIn: session.expiresIn };
+};
+
+// Read the refresh token from the request body or the refresh cookie
+const getRefreshToken = (req) => {
+    if (req.body && typeof req.body.refreshToken === 'string') {
+        return req.body.refreshToken;
+    }
+    const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+    for (const cookie of cookies) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === REFRESH_COOKIE_NAME) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+};
+
+const formatUser = (user) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.email_verified,
+    role: user.role,
+    createdAt: user.created_at
+});
+
+// Answer the first sign-in step of an account with two-factor authentication: instead of tokens,
+// a challenge to send to POST /login/2fa with a code
+const sendTwoFactorChallenge = async (res, user) => {
+    const challenges = await incrementRateLimit(`two_factor_challenge:${user.id}`, 15 * 60);
+    if (challenges > TWO_FACTOR_CHALLENGES_PER_USER) {
+        return res.status(429).json({ error: 'Too many sign-in attempts, please try again later' });
+    }
+
+    const challenge = await createLoginChallenge(user.id);
+    if (!challenge) {
+        return res.status(503).json({ error: 'Two-factor sign-in is temporarily unavailable' });
+    }
+
+    res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        ...challenge
+    });
+};
+
+// Answer a failed password sign-in, with how many attempts are left before the account is locked
+const sendLoginFailure = async (req, res, email) => {
+    const lockout = await recordLoginFailure(email, req.ip);
+
+    res.status(401).json({
+        error: 'Invalid email or password',
+        ...(lockout.attemptsRemaining !== null && { lockout })
+    });
+};
+
+// Count a two-factor code entered in account settings; true when over the limit
+const tooManyTwoFactorAttempts = async (userId) => {
+    const attempts = await incrementRateLimit(`two_factor_verify:${userId}`, 15 * 60);
+    return attempts > TWO_FACTOR_ATTEMPTS_PER_USER;
+};
+
 // Register
 router.post('/register', async (req, res) => {
     try {
@@ -47,35 +189,24 @@ router.post('/register', async (req, res) => {
 
         // Create user
         const result = await pool.query(
-            'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email, created_at',
+            'INSERT INTO users (name, email, password) VALUES ($1, $2, $3) RETURNING id, name, email, email_verified, role, created_at',
             [name, email, hashedPassword]
         );
 
         const user = result.rows[0];
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                name: user.name
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Start a session (short-lived access token plus refresh token)
+        const session = await createSession(user, req);
 
-        // Store token in Redis
-        await storeToken(token, user.id, 7 * 24 * 60 * 60); // 7 days
+        // The account works right away; polls that require a verified email wait for the link
+        sendVerificationEmail(user).catch(mailError => {
+            console.error('Verification email error:', mailError);
+        });
 
         res.status(201).json({
             message: 'User registered successfully',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                createdAt: user.created_at
-            }
+            ...sessionTokens(res, session),
+            user: formatUser(user)
         });
 
     } catch (error) {
@@ -95,47 +226,54 @@ router.post('/login', async (req, res) => {
 
         const { email, password } = value;
 
+        // Too many recent failures for this account or IP: wait, or locked out for a while
+        const lockout = await getLoginLockout(email, req.ip);
+        if (lockout) {
+            res.set('Retry-After', String(lockout.retryAfter));
+            return res.status(429).json({
+                error: lockout.locked
+                    ? 'Too many failed sign-in attempts, sign-in is temporarily locked'
+                    : 'Too many failed sign-in attempts, please wait before trying again',
+                lockout
+            });
+        }
+
         // Find user
         const result = await pool.query(
-            'SELECT id, name, email, password, created_at FROM users WHERE email = $1',
+            'SELECT id, name, email, password, email_verified, role, suspended_at, totp_enabled_at, created_at FROM users WHERE email = $1',
             [email]
         );
 
         if (result.rows.length === 0) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+            return sendLoginFailure(req, res, email);
         }
 
         const user = result.rows[0];
 
         // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        // Accounts created through single sign-on have no password
+        const isValidPassword = user.password !== null && await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid email or password' });
-        }
-
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                name: user.name
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+            return sendLoginFailure(req, res, email);
+        }
+
+        await recordLoginSuccess(email);
 
-        // Store token in Redis
-        await storeToken(token, user.id, 7 * 24 * 60 * 60); // 7 days
+        if (user.suspended_at) {
+            return res.status(403).json({ error: 'This account has been suspended' });
+        }
+
+        if (user.totp_enabled_at) {
+            return sendTwoFactorChallenge(res, user);
+        }
+
+        // Start a session (short-lived access token plus refresh token)
+        const session = await createSession(user, req);
 
         res.json({
             message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                createdAt: user.created_at
-            }
+            ...sessionTokens(res, session),
+            user: formatUser(user)
         });
 
     } catch (error) {
@@ -144,11 +282,61 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Logout
+// Second sign-in step for accounts with two-factor authentication (same response as a plain login)
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { error, value } = twoFactorLoginSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const result = await completeLoginChallenge(value.challengeToken, {
+            code: value.code,
+            recoveryCode: value.recoveryCode
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const userResult = await pool.query(
+            'SELECT id, name, email, email_verified, role, suspended_at, created_at FROM users WHERE id = $1',
+            [result.userId]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = userResult.rows[0];
+
+        if (user.suspended_at) {
+            return res.status(403).json({ error: 'This account has been suspended' });
+        }
+
+        const session = await createSession(user, req);
+
+        // Nudge users who are signing in with recovery codes to generate new ones before they run out
+        const status = result.method === 'recovery_code' ? await getTwoFactorStatus(user.id) : null;
+
+        res.json({
+            message: 'Login successful',
+            ...sessionTokens(res, session),
+            user: formatUser(user),
+            ...(status && { recoveryCodesRemaining: status.recoveryCodesRemaining })
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Logout (ends the current session)
 router.post('/logout', authenticateToken, async (req, res) => {
     try {
         const token = req.token;
 
+        await revokeSessions(req.user.userId, { sessionId: req.user.sid, reason: 'logout' });
+
         // Decode token to get expiration time
         const decoded = jwt.decode(token);
         const expirationTime = decoded.exp - Math.floor(Date.now() / 1000);
@@ -161,6 +349,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
             }
         }
 
+        res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
         res.json({ message: 'Logout successful' });
     } catch (error) {
         console.error('Logout error:', error);
@@ -168,51 +357,565 @@ router.post('/logout', authenticateToken, async (req, res) => {
     }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Log out everywhere (ends every session of the current user, including this one)
+router.post('/logout-all', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.userId;
-        
-        // Get user info
-        const result = await pool.query(
-            'SELECT id, name, email, created_at FROM users WHERE id = $1',
+        const revoked = await revokeSessions(req.user.userId, { reason: 'logout_all' });
+
+        res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+        res.json({ message: 'Logged out of all sessions', revokedSessions: revoked.length });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Failed to log out of all sessions' });
+    }
+});
+
+// Refresh token (exchanges a refresh token for a new access token and a new refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const refreshToken = getRefreshToken(req);
+        if (!refreshToken) {
+            return res.status(401).json({ error: 'Refresh token required' });
+        }
+
+        const session = await rotateRefreshToken(refreshToken, req);
+        if (session.error) {
+            res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+            return res.status(session.status).json({ error: session.error });
+        }
+
+        res.json({
+            message: 'Token refreshed successfully',
+            ...sessionTokens(res, session),
+            user: formatUser(session.user)
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// List the current user's active sessions (signed-in devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.userId);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.id === req.user.sid
+            }))
+        });
+    } catch (error) {
+        console.error('Sessions fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Revoke one of the current user's sessions (signs that device out)
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const { error } = Joi.string().guid().validate(req.params.sessionId);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid session id' });
+        }
+
+        const revoked = await revokeSessions(req.user.userId, { sessionId: req.params.sessionId, reason: 'revoked' });
+        if (revoked.length === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (req.params.sessionId === req.user.sid) {
+            res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Verify an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { error, value } = tokenSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const userId = await consumeUserToken(value.token, 'email_verification');
+        if (!userId) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        await pool.query(
+            'UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
             [userId]
         );
 
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, name, email, email_verified FROM users WHERE id = $1',
+            [req.user.userId]
+        );
+
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
 
         const user = result.rows[0];
 
-        // Generate new JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                name: user.name
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
+        if (user.email_verified) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        const hits = await incrementRateLimit(`verification_email:user:${user.id}`, 60 * 60);
+        if (hits > VERIFICATION_EMAILS_PER_USER) {
+            return res.status(429).json({ error: 'Too many verification emails requested, please try again later' });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { error, value } = forgotPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const ipHits = await incrementRateLimit(`password_reset:ip:${req.ip}`, 60 * 60);
+        if (ipHits > RESET_REQUESTS_PER_IP) {
+            return res.status(429).json({ error: 'Too many password reset requests, please try again later' });
+        }
+
+        const result = await pool.query(
+            'SELECT id, name, email FROM users WHERE email = $1',
+            [value.email]
         );
 
-        // Store new token in Redis
-        await storeToken(token, user.id, 7 * 24 * 60 * 60); // 7 days
+        if (result.rows.length > 0) {
+            const user = result.rows[0];
+            const addressHits = await incrementRateLimit(`password_reset:user:${user.id}`, 60 * 60);
 
-        res.json({
-            message: 'Token refreshed successfully',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                createdAt: user.created_at
+            // Sent in the background so the response time doesn't reveal whether the account exists
+            if (addressHits <= RESET_EMAILS_PER_ADDRESS) {
+                sendPasswordResetEmail(user).catch(mailError => {
+                    console.error('Password reset email error:', mailError);
+                });
             }
+        }
+
+        res.json({ message: FORGOT_PASSWORD_MESSAGE });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+// Choose a new password with the token from the password reset email
+router.post('/reset-password', async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { error, value } = resetPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        await client.query('BEGIN');
+
+        const userId = await consumeUserToken(value.token, 'password_reset', client);
+        if (!userId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        // Following the emailed link also proves the user owns the address
+        const hashedPassword = await bcrypt.hash(value.password, 12);
+        const userResult = await client.query(
+            'UPDATE users SET password = $1, email_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING email',
+            [hashedPassword, userId]
+        );
+
+        await client.query('COMMIT');
+
+        // Whoever knew the old password is signed out everywhere, and a lockout from guessing it is lifted
+        await revokeSessions(userId, { reason: 'password_reset' });
+        await unlockAccount(userResult.rows[0].email);
+
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        client.release();
+    }
+});
+
+// How long the frontend has to exchange a single sign-on login code for tokens
+const OIDC_LOGIN_CODE_TTL_SECONDS = 60;
+
+// Where the browser lands after single sign-on, with ?code=, ?linked=true or ?error=
+const oidcFrontendRedirect = (params) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
+    const url = new URL(process.env.OIDC_FRONTEND_CALLBACK_URL || `${frontendUrl}/auth/sso/callback`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+};
+
+// Single sign-on settings for the frontend (whether to show the button)
+router.get('/oidc/config', (req, res) => {
+    const config = getOidcConfig();
+    res.json({
+        enabled: Boolean(config),
+        provider: config ? config.provider : null
+    });
+});
+
+// Start single sign-on: redirects the browser to the identity provider
+router.get('/oidc/login', async (req, res) => {
+    try {
+        if (!getOidcConfig()) {
+            return res.status(404).json({ error: 'Single sign-on is not configured' });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl({ mode: 'login' });
+        if (!authorizationUrl) {
+            return res.status(503).json({ error: 'Single sign-on is temporarily unavailable' });
+        }
+
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        console.error('OIDC login error:', error);
+        res.status(502).json({ error: 'Failed to reach the identity provider' });
+    }
+});
+
+// Start linking a single sign-on identity to the current account
+// Returns the provider URL for the frontend to navigate to (a redirect can't carry the access token)
+router.post('/oidc/link', authenticateToken, async (req, res) => {
+    try {
+        if (!getOidcConfig()) {
+            return res.status(404).json({ error: 'Single sign-on is not configured' });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl({ mode: 'link', userId: req.user.userId });
+        if (!authorizationUrl) {
+            return res.status(503).json({ error: 'Single sign-on is temporarily unavailable' });
+        }
+
+        res.json({ authorizationUrl });
+    } catch (error) {
+        console.error('OIDC link error:', error);
+        res.status(502).json({ error: 'Failed to reach the identity provider' });
+    }
+});
+
+// Identity provider callback: finishes signing in or linking, then sends the browser back to the frontend
+// Sign-ins get a short-lived code that the frontend exchanges for tokens (POST /oidc/exchange),
+// so tokens never appear in URLs
+router.get('/oidc/callback', async (req, res) => {
+    try {
+        if (!getOidcConfig()) {
+            return res.status(404).json({ error: 'Single sign-on is not configured' });
+        }
+
+        if (req.query.error) {
+            return res.redirect(oidcFrontendRedirect({ error: req.query.error_description || req.query.error }));
+        }
+
+        const result = await completeAuthorization({ code: req.query.code, state: req.query.state });
+        if (result.error) {
+            return res.redirect(oidcFrontendRedirect({ error: result.error }));
+        }
+
+        if (result.mode === 'link') {
+            const linked = await linkIdentity(result.userId, result.identity);
+            return res.redirect(oidcFrontendRedirect(linked.error ? { error: linked.error } : { linked: 'true' }));
+        }
+
+        const found = await findOrCreateUser(result.identity);
+        if (found.error) {
+            return res.redirect(oidcFrontendRedirect({ error: found.error }));
+        }
+
+        if (found.user.suspended_at) {
+            return res.redirect(oidcFrontendRedirect({ error: 'This account has been suspended' }));
+        }
+
+        const code = crypto.randomBytes(32).toString('base64url');
+        const stored = await storeEphemeral(`oidc_login:${code}`, { userId: found.user.id }, OIDC_LOGIN_CODE_TTL_SECONDS);
+        if (!stored) {
+            return res.redirect(oidcFrontendRedirect({ error: 'Single sign-on is temporarily unavailable' }));
+        }
+
+        res.redirect(oidcFrontendRedirect({ code }));
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        res.redirect(oidcFrontendRedirect({ error: 'Single sign-on failed' }));
+    }
+});
+
+// Exchange a single sign-on login code for a session (same response as POST /login)
+router.post('/oidc/exchange', async (req, res) => {
+    try {
+        const { error, value } = Joi.object({
+            code: Joi.string().required()
+        }).validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const pending = await consumeEphemeral(`oidc_login:${value.code}`);
+        if (!pending) {
+            return res.status(400).json({ error: 'Invalid or expired login code' });
+        }
+
+        const result = await pool.query(
+            'SELECT id, name, email, email_verified, role, suspended_at, totp_enabled_at, created_at FROM users WHERE id = $1',
+            [pending.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = result.rows[0];
+
+        if (user.suspended_at) {
+            return res.status(403).json({ error: 'This account has been suspended' });
+        }
+
+        // Single sign-on replaces the password, not the second factor
+        if (user.totp_enabled_at) {
+            return sendTwoFactorChallenge(res, user);
+        }
+
+        const session = await createSession(user, req);
+
+        res.json({
+            message: 'Login successful',
+            ...sessionTokens(res, session),
+            user: formatUser(user)
         });
+    } catch (error) {
+        console.error('OIDC exchange error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
 
+// List the single sign-on identities linked to the current account
+router.get('/identities', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(`
+      SELECT ui.id, ui.provider, ui.email, ui.created_at, ui.last_login_at, u.password IS NOT NULL as has_password
+      FROM users u
+      LEFT JOIN user_identities ui ON ui.user_id = u.id
+      WHERE u.id = $1
+      ORDER BY ui.created_at
+    `, [req.user.userId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            identities: result.rows.filter(row => row.id).map(identity => ({
+                id: identity.id,
+                provider: identity.provider,
+                email: identity.email,
+                createdAt: identity.created_at,
+                lastLoginAt: identity.last_login_at
+            })),
+            hasPassword: result.rows[0].has_password
+        });
     } catch (error) {
-        console.error('Token refresh error:', error);
-        res.status(500).json({ error: 'Failed to refresh token' });
+        console.error('Identities fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch linked identities' });
+    }
+});
+
+// Unlink a single sign-on identity (not the last way to sign in)
+router.delete('/identities/:identityId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { error } = Joi.string().guid().validate(req.params.identityId);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid identity id' });
+        }
+
+        await client.query('BEGIN');
+
+        const userResult = await client.query(`
+      SELECT u.password IS NOT NULL as has_password,
+        (SELECT COUNT(*) FROM user_identities WHERE user_id = u.id) as identity_count
+      FROM users u
+      WHERE u.id = $1
+      FOR UPDATE
+    `, [req.user.userId]);
+
+        if (userResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { has_password: hasPassword, identity_count: identityCount } = userResult.rows[0];
+        if (!hasPassword && parseInt(identityCount) <= 1) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Set a password before unlinking your only sign-in method' });
+        }
+
+        const deleteResult = await client.query(
+            'DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.identityId, req.user.userId]
+        );
+
+        if (deleteResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Identity not found' });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Identity unlinked successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Identity unlink error:', error);
+        res.status(500).json({ error: 'Failed to unlink identity' });
+    } finally {
+        client.release();
+    }
+});
+
+// Two-factor authentication status of the current account
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        const status = await getTwoFactorStatus(req.user.userId);
+        res.json(status);
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor authentication status' });
+    }
+});
+
+// Start setting up two-factor authentication: returns the secret and a provisioning URI
+// (otpauth://, usually shown as a QR code) for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const result = await startEnrollment(req.user.userId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            secret: result.secret,
+            otpauthUri: result.otpauthUri
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Turn two-factor authentication on with a code from the app; returns the recovery codes
+// (shown only this once) and signs out other devices, which then need a code to sign in
+router.post('/2fa/confirm', authenticateToken, async (req, res) => {
+    try {
+        const { error, value } = twoFactorCodeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        if (await tooManyTwoFactorAttempts(req.user.userId)) {
+            return res.status(429).json({ error: 'Too many attempts, please try again later' });
+        }
+
+        const result = await confirmEnrollment(req.user.userId, value.code);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await revokeSessions(req.user.userId, { exceptSessionId: req.user.sid, reason: 'two_factor_enabled' });
+
+        res.json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Turn two-factor authentication off (needs a fresh code from the app, or a recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { error, value } = secondFactorSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        if (await tooManyTwoFactorAttempts(req.user.userId)) {
+            return res.status(429).json({ error: 'Too many attempts, please try again later' });
+        }
+
+        const result = await disableTwoFactor(req.user.userId, value);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Replace the recovery codes (needs a fresh code from the app); the old codes stop working
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const { error, value } = twoFactorCodeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        if (await tooManyTwoFactorAttempts(req.user.userId)) {
+            return res.status(429).json({ error: 'Too many attempts, please try again later' });
+        }
+
+        const result = await regenerateRecoveryCodes(req.user.userId, value.code);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Recovery codes regenerated',
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
     }
 });
 
@@ -220,7 +923,7 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 router.get('/profile', authenticateToken, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT id, name, email, created_at FROM users WHERE id = $1',
+            'SELECT id, name, email, email_verified, role, created_at FROM users WHERE id = $1',
             [req.user.userId]
         );
 
@@ -277,6 +980,10 @@ router.put('/profile', authenticateToken, async (req, res) => {
                 return res.status(404).json({ error: 'User not found' });
             }
 
+            if (userResult.rows[0].password === null) {
+                return res.status(400).json({ error: 'This account has no password yet; use "forgot password" to set one' });
+            }
+
             const isValidPassword = await bcrypt.compare(currentPassword, userResult.rows[0].password);
             if (!isValidPassword) {
                 return res.status(401).json({ error: 'Current password is incorrect' });
@@ -300,11 +1007,16 @@ router.put('/profile', authenticateToken, async (req, res) => {
       UPDATE users 
       SET ${updates.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, name, email, created_at, updated_at
+      RETURNING id, name, email, email_verified, role, created_at, updated_at
     `;
 
         const result = await pool.query(query, values);
 
+        // A new password signs out every other session
+        if (newPassword) {
+            await revokeSessions(userId, { exceptSessionId: req.user.sid, reason: 'password_changed' });
+        }
+
         res.json({
             message: 'Profile updated successfully',
             user: result.rows[0]
@@ -0,0 +1,226 @@
+const express = require('express');
+const Joi = require('joi');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+    REPORT_STATUSES, MODERATION_ACTIONS, TARGETS, moderateContent, dismissReport
+} = require('../services/moderation');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('content:moderate'));
+
+// Target types as they appear in URLs (/polls/:id/hide, /options/:id/hide, /images/:id/hide)
+const targetPaths = {
+    polls: 'poll',
+    options: 'option',
+    images: 'image'
+};
+
+const decisionSchema = Joi.object({
+    reason: Joi.string().min(3).max(1000).required(),
+    reportId: Joi.string().guid().optional()
+});
+
+const formatReport = (report) => ({
+    id: report.id,
+    targetType: report.target_type,
+    pollId: report.poll_id,
+    optionId: report.option_id,
+    imageId: report.image_id,
+    target: {
+        pollTitle: report.poll_title,
+        pollHidden: Boolean(report.poll_hidden_at),
+        ...(report.option_id && { optionText: report.option_text, optionHidden: Boolean(report.option_hidden_at) }),
+        ...(report.image_id && { imageUrl: report.image_url, imageHidden: Boolean(report.image_hidden_at) })
+    },
+    reason: report.reason,
+    details: report.details,
+    status: report.status,
+    resolution: report.resolution,
+    reporter: report.reporter_id ? { id: report.reporter_id, name: report.reporter_name } : null,
+    resolvedBy: report.resolved_by,
+    resolvedAt: report.resolved_at,
+    // Open reports about the same content, so repeat reports stand out in the queue
+    openReportsForTarget: parseInt(report.open_reports_for_target),
+    createdAt: report.created_at
+});
+
+// Moderation queue: reports, oldest open reports first
+router.get('/reports', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = (page - 1) * limit;
+        const status = req.query.status || 'open';
+
+        let whereClause = 'WHERE 1 = 1';
+        const queryParams = [];
+        let paramCount = 1;
+
+        if (REPORT_STATUSES.includes(status)) {
+            whereClause += ` AND cr.status = $${paramCount}`;
+            queryParams.push(status);
+            paramCount++;
+        }
+
+        if (TARGETS[req.query.targetType]) {
+            whereClause += ` AND cr.target_type = $${paramCount}`;
+            queryParams.push(req.query.targetType);
+            paramCount++;
+        }
+
+        const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM content_reports cr ${whereClause}
+    `, queryParams);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        queryParams.push(limit, offset);
+        const reportsResult = await pool.query(`
+      SELECT cr.*, p.title as poll_title, p.hidden_at as poll_hidden_at,
+        po.text as option_text, po.hidden_at as option_hidden_at,
+        poi.image_url, poi.hidden_at as image_hidden_at,
+        u.name as reporter_name,
+        (SELECT COUNT(*) FROM content_reports other
+         WHERE other.status = 'open' AND other.target_type = cr.target_type
+           AND other.poll_id = cr.poll_id
+           AND other.option_id IS NOT DISTINCT FROM cr.option_id
+           AND other.image_id IS NOT DISTINCT FROM cr.image_id) as open_reports_for_target
+      FROM content_reports cr
+      JOIN polls p ON cr.poll_id = p.id
+      LEFT JOIN poll_options po ON cr.option_id = po.id
+      LEFT JOIN poll_option_images poi ON cr.image_id = poi.id
+      LEFT JOIN users u ON cr.reporter_id = u.id
+      ${whereClause}
+      ORDER BY cr.created_at ${status === 'open' ? 'ASC' : 'DESC'}
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, queryParams);
+
+        res.json({
+            reports: reportsResult.rows.map(formatReport),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Moderation reports fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+});
+
+// Dismiss a report without acting on the content
+router.post('/reports/:reportId/dismiss', async (req, res) => {
+    try {
+        const { error, value } = Joi.object({
+            reason: Joi.string().min(3).max(1000).required()
+        }).validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const result = await dismissReport({
+            reportId: req.params.reportId,
+            reason: value.reason,
+            moderatorId: req.user.userId
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Report dismissed', report: result.report });
+    } catch (error) {
+        console.error('Dismiss report error:', error);
+        res.status(500).json({ error: 'Failed to dismiss report' });
+    }
+});
+
+// Moderation log, newest first (optionally for one poll)
+router.get('/actions', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = (page - 1) * limit;
+        const pollId = req.query.pollId || null;
+
+        const result = await pool.query(`
+      SELECT ma.id, ma.target_type, ma.target_id, ma.poll_id, ma.report_id, ma.action, ma.reason, ma.created_at,
+        ma.moderator_id, u.name as moderator_name
+      FROM moderation_actions ma
+      LEFT JOIN users u ON ma.moderator_id = u.id
+      WHERE ($1::uuid IS NULL OR ma.poll_id = $1)
+      ORDER BY ma.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [pollId, limit, offset]);
+
+        res.json({
+            actions: result.rows.map(action => ({
+                id: action.id,
+                targetType: action.target_type,
+                targetId: action.target_id,
+                pollId: action.poll_id,
+                reportId: action.report_id,
+                action: action.action,
+                reason: action.reason,
+                moderator: action.moderator_id ? { id: action.moderator_id, name: action.moderator_name } : null,
+                createdAt: action.created_at
+            })),
+            pagination: {
+                page,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('Moderation log fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation log' });
+    }
+});
+
+// Hide, restore or remove a poll, option or image
+router.post('/:targetPath/:targetId/:action', async (req, res) => {
+    try {
+        const targetType = targetPaths[req.params.targetPath];
+        const { action, targetId } = req.params;
+
+        if (!targetType || !MODERATION_ACTIONS.includes(action)) {
+            return res.status(404).json({ error: 'Route not found' });
+        }
+
+        const { error, value } = decisionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const result = await moderateContent({
+            targetType,
+            targetId,
+            action,
+            reason: value.reason,
+            moderatorId: req.user.userId,
+            reportId: value.reportId
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const pastTense = { hide: 'hidden', restore: 'restored', remove: 'removed' };
+        res.json({
+            message: `${TARGETS[targetType].label} ${pastTense[action]}`,
+            targetType,
+            targetId,
+            pollId: result.pollId,
+            action
+        });
+    } catch (error) {
+        console.error('Moderation action error:', error);
+        res.status(500).json({ error: 'Failed to apply moderation action' });
+    }
+});
+
+module.exports = router;
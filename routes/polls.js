@@ -1,20 +1,30 @@
 const express = require('express');
 const Joi = require('joi');
 const multer = require('multer');
-const { v2: cloudinary } = require('cloudinary');
-const { pool } = require('../config/database');
-const { getCachedPollResults, cachePollResults, hasVotedToday } = require('../config/redis');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { pool, optionVoteCountSql, updateVoteCount } = require('../config/database');
+const {
+    getCachedPollResults, cachePollResults, clearPollResultsCache, subscribePollUpdates, incrementRateLimit
+} = require('../config/redis');
+const { authenticateToken, authenticateVoter, optionalAuth } = require('../middleware/auth');
+const { hasPermission } = require('../services/roles');
+const { getLiveResults, getScoreResults, refreshPollResults } = require('../services/pollResults');
+const { VOTE_FREQUENCIES, getVoteEligibility } = require('../services/votePolicy');
+const {
+    POLL_VISIBILITIES, generateAccessCode, signInviteToken, buildInviteLink, canAccessPoll, redeemPollInvite
+} = require('../services/pollAccess');
+const { RESULTS_VISIBILITIES, canSeeResults, hideResults, getViewer } = require('../services/resultsVisibility');
+const { uploadImage, imageFileFilter, deleteImages, isStoredImageUrl } = require('../services/storage');
+const { deletePoll, deleteUnusedImages } = require('../services/pollDeletion');
+const { IMPORT_FORMATS, parseImportFile, detectImportFormat } = require('../services/pollImport');
+const {
+    POLL_CATEGORIES, MAX_POLL_TAGS, MAX_TAG_LENGTH, TAG_PATTERN, pollTagsSql, parseTagList, setPollTags, getTagCounts
+} = require('../services/pollTags');
+const {
+    REPORT_REASONS, visibleOptionTextSql, visibleOptionDescriptionSql, moderationNotice
+} = require('../services/moderation');
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -22,47 +32,154 @@ const upload = multer({
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
     },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'), false);
-        }
-    }
+    fileFilter: imageFileFilter
 });
 
 // Validation schemas
+// Tags are normalized before they're checked ("Team Lunch" -> "team-lunch")
+const pollTagSchema = Joi.string().trim().lowercase().replace(/\s+/g, '-').max(MAX_TAG_LENGTH).pattern(TAG_PATTERN)
+    .messages({ 'string.pattern.base': '{{#label}} may only contain letters, digits, dashes and underscores' });
+
+const pollOptionSchema = Joi.object({
+    text: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).optional()
+});
+
 const createPollSchema = Joi.object({
     title: Joi.string().min(3).max(200).required(),
     description: Joi.string().max(1000).optional(),
+    // Schedule a future start; the poll opens automatically (see services/pollScheduler.js)
+    startDate: Joi.date().greater('now').optional(),
     endDate: Joi.date().greater('now').optional(),
+    pollType: Joi.string().valid('single', 'ranked', 'multiple', 'score').default('single'),
+    // Selection limits only apply to multiple-choice polls
+    minSelections: Joi.number().integer().min(1).when('pollType', {
+        is: 'multiple',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    }),
+    maxSelections: Joi.number().integer().min(Joi.ref('minSelections')).when('pollType', {
+        is: 'multiple',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    }),
+    // Score range only applies to score polls (defaults to 1-5 stars)
+    scoreMin: Joi.when('pollType', {
+        is: 'score',
+        then: Joi.number().integer().min(0).max(99).default(1),
+        otherwise: Joi.forbidden()
+    }),
+    scoreMax: Joi.when('pollType', {
+        is: 'score',
+        then: Joi.number().integer().greater(Joi.ref('scoreMin')).max(100).default(5),
+        otherwise: Joi.forbidden()
+    }),
+    // How often a user may vote (defaults to once per day)
+    voteFrequency: Joi.string().valid(...VOTE_FREQUENCIES).default('daily'),
+    votesPerDay: Joi.when('voteFrequency', {
+        is: 'daily_limit',
+        then: Joi.number().integer().min(1).max(100).required(),
+        otherwise: Joi.forbidden()
+    }),
+    voteCooldownMinutes: Joi.when('voteFrequency', {
+        is: 'cooldown',
+        then: Joi.number().integer().min(0).max(7 * 24 * 60).default(0),
+        otherwise: Joi.forbidden()
+    }),
+    // Minutes after voting during which a vote can be changed or retracted (0 disables it)
+    voteChangeWindowMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).default(0),
+    // Let visitors without an account vote using a guest voter token
+    allowGuestVotes: Joi.boolean().default(false),
+    // Only accept votes from signed-in users who have verified their email address
+    requireVerifiedEmail: Joi.boolean().default(false),
+    // Keep voter identities from the creator (vote lists and exports leave out who voted)
+    anonymousVotes: Joi.boolean().default(false),
+    // Only public polls are listed; private polls need an invite link or access code
+    visibility: Joi.string().valid(...POLL_VISIBILITIES).default('public'),
+    // Who can see vote counts: everyone, voters, everyone once the poll ends, or only the creator
+    resultsVisibility: Joi.string().valid(...RESULTS_VISIBILITIES).default('always'),
+    // Category and free-form tags, for browsing and filtering listings
+    category: Joi.string().valid(...POLL_CATEGORIES).optional(),
+    tags: Joi.array().items(pollTagSchema).max(MAX_POLL_TAGS).unique().default([]),
     options: Joi.array().items(
-        Joi.object({
-            text: Joi.string().min(1).max(100).required(),
-            description: Joi.string().max(500).optional(),
+        pollOptionSchema.keys({
             imageCount: Joi.number().min(0).max(10).optional()
         })
     ).min(2).max(10).required()
 });
 
-// Helper function to upload image to Cloudinary
-const uploadToCloudinary = (buffer, folder = 'voting-app') => {
-    return new Promise((resolve, reject) => {
-        cloudinary.uploader.upload_stream(
-            {
-                folder,
-                resource_type: 'image',
-                transformation: [
-                    { width: 800, height: 600, crop: 'limit' },
-                    { quality: 'auto', fetch_format: 'auto' }
-                ]
-            },
-            (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-            }
-        ).end(buffer);
-    });
+// Image URLs in bulk imports: external images only, since an imported poll doesn't own them
+const importImageUrlSchema = Joi.string().uri({ scheme: ['http', 'https'] })
+    .custom((url, helpers) => (isStoredImageUrl(url) ? helpers.error('any.invalid') : url))
+    .messages({ 'any.invalid': '{{#label}} must not point at uploaded media; upload those images instead' });
+
+// Polls in a bulk import follow the same rules, with images given as URLs instead of uploads
+const importPollSchema = createPollSchema.keys({
+    coverImageUrl: importImageUrlSchema.optional(),
+    options: Joi.array().items(
+        pollOptionSchema.keys({
+            imageUrls: Joi.array().items(importImageUrlSchema).max(10).optional()
+        })
+    ).min(2).max(10).required()
+});
+
+const optionSchema = Joi.object({
+    text: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).optional().allow('')
+});
+
+// Checks across poll settings that the schema can't express
+// Returns { error } or the multiple-choice selection limits ({ minSelections, maxSelections }, null otherwise)
+const resolvePollSettings = (value) => {
+    const { startDate, endDate, pollType, scoreMin, scoreMax, options } = value;
+
+    // Default multiple-choice limits to "at least one, up to all options"
+    let minSelections = null;
+    let maxSelections = null;
+    if (pollType === 'multiple') {
+        minSelections = value.minSelections || 1;
+        maxSelections = value.maxSelections || options.length;
+
+        if (maxSelections > options.length || minSelections > maxSelections) {
+            return { error: 'Selection limits must be between 1 and the number of options' };
+        }
+    }
+
+    if (pollType === 'score' && scoreMax <= scoreMin) {
+        return { error: 'scoreMax must be greater than scoreMin' };
+    }
+
+    if (startDate && endDate && endDate <= startDate) {
+        return { error: 'endDate must be after startDate' };
+    }
+
+    return { minSelections, maxSelections };
+};
+
+// Insert a validated poll with its tags (but not its options); resolves to the poll row
+const insertPoll = async (db, creatorId, value, { minSelections, maxSelections }, { coverImageUrl = null, coverStorageKey = null } = {}) => {
+    const {
+        title, description, startDate, endDate, pollType, scoreMin, scoreMax,
+        voteFrequency, votesPerDay, voteCooldownMinutes, voteChangeWindowMinutes, allowGuestVotes, requireVerifiedEmail, anonymousVotes, visibility, resultsVisibility,
+        category, tags
+    } = value;
+
+    // Scheduled polls stay inactive until the scheduler opens them
+    const isScheduled = Boolean(startDate);
+
+    const pollResult = await db.query(
+        `INSERT INTO polls (title, description, creator_id, start_date, end_date, is_active, opened_at, image_url, image_storage_key, poll_type, min_selections, max_selections, score_min, score_max,
+       vote_frequency, votes_per_day, vote_cooldown_minutes, vote_change_window_minutes, allow_guest_votes, require_verified_email, anonymous_votes, visibility, results_visibility, category)
+     VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6, CASE WHEN $7 THEN NULL ELSE CURRENT_TIMESTAMP END, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+     RETURNING id, title, description, start_date, end_date, is_active, image_url, poll_type, min_selections, max_selections, score_min, score_max,
+       vote_frequency, votes_per_day, vote_cooldown_minutes, vote_change_window_minutes, allow_guest_votes, require_verified_email, anonymous_votes, visibility, results_visibility, category, created_at`,
+        [title, description || null, creatorId, startDate || null, endDate || null, !isScheduled, isScheduled, coverImageUrl, coverStorageKey, pollType, minSelections, maxSelections, scoreMin ?? null, scoreMax ?? null,
+            voteFrequency, votesPerDay ?? null, voteCooldownMinutes ?? null, voteChangeWindowMinutes, allowGuestVotes, requireVerifiedEmail, anonymousVotes, visibility, resultsVisibility, category || null]
+    );
+
+    await setPollTags(pollResult.rows[0].id, tags, db);
+
+    return { ...pollResult.rows[0], tags };
 };
 
 // Create a new poll (supports single cover image + multiple option images)
@@ -71,6 +188,8 @@ router.post('/', authenticateToken, upload.fields([
     { name: 'images', maxCount: 100 } // Allow up to 100 images total (10 per option * 10 options)
 ]), async (req, res) => {
     const client = await pool.connect();
+    // Everything stored so far, removed again if the poll isn't created
+    const uploaded = [];
 
     try {
         await client.query('BEGIN');
@@ -84,31 +203,43 @@ router.post('/', authenticateToken, upload.fields([
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { title, description, endDate, options } = value;
-        const creatorId = req.user.userId;
+        const { options } = value;
+
+        const settings = resolvePollSettings(value);
+        if (settings.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: settings.error });
+        }
+
+        // Option images are matched to options by imageCount, so every image must be accounted for
+        const images = (req.files && req.files['images']) || [];
+        const expectedImages = options.reduce((sum, option) => sum + (option.imageCount || 0), 0);
+        if (expectedImages !== images.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Options expect ${expectedImages} image(s) (imageCount) but ${images.length} were uploaded`
+            });
+        }
 
         // Handle cover image upload if provided
         let coverImageUrl = null;
+        let coverStorageKey = null;
         const coverFiles = (req.files && req.files['coverImage']) || [];
         if (coverFiles.length > 0) {
             try {
-                const uploadResult = await uploadToCloudinary(coverFiles[0].buffer, 'voting-app/covers');
-                coverImageUrl = uploadResult.secure_url;
+                const stored = await uploadImage(coverFiles[0], 'voting-app/covers');
+                uploaded.push({ url: stored.url, storageKey: stored.key });
+                coverImageUrl = stored.url;
+                coverStorageKey = stored.key;
             } catch (uploadError) {
                 console.error('Cover image upload error:', uploadError);
+                await client.query('ROLLBACK');
+                return res.status(502).json({ error: 'Failed to upload cover image' });
             }
         }
 
         // Create the poll
-        const pollResult = await client.query(
-            `INSERT INTO polls (title, description, creator_id, end_date, is_active, image_url) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, title, description, start_date, end_date, is_active, image_url, created_at`,
-            [title, description || null, creatorId, endDate || null, true, coverImageUrl]
-        );
-
-        const poll = pollResult.rows[0];
-        const images = (req.files && req.files['images']) || [];
+        const poll = await insertPoll(client, req.user.userId, value, settings, { coverImageUrl, coverStorageKey });
         let imageIndex = 0;
 
         // Create poll options
@@ -118,10 +249,10 @@ router.post('/', authenticateToken, upload.fields([
             
             // Create the option first
             const optionResult = await client.query(
-                `INSERT INTO poll_options (poll_id, text, description) 
-         VALUES ($1, $2, $3) 
-         RETURNING id, text, description, vote_count`,
-                [poll.id, option.text, option.description || null]
+                `INSERT INTO poll_options (poll_id, text, description, display_order) 
+         VALUES ($1, $2, $3, $4) 
+         RETURNING id, text, description, display_order, vote_count`,
+                [poll.id, option.text, option.description || null, i]
             );
 
             const createdOption = optionResult.rows[0];
@@ -130,27 +261,31 @@ router.post('/', authenticateToken, upload.fields([
             const optionImageCount = option.imageCount || 0;
             const optionImages = [];
             
-            for (let j = 0; j < optionImageCount && imageIndex < images.length; j++) {
+            for (let j = 0; j < optionImageCount; j++) {
+                const file = images[imageIndex++];
                 try {
-                    const uploadResult = await uploadToCloudinary(images[imageIndex].buffer);
+                    const stored = await uploadImage(file);
+                    uploaded.push({ url: stored.url, storageKey: stored.key });
                     optionImages.push({
-                        imageUrl: uploadResult.secure_url,
+                        imageUrl: stored.url,
+                        storageKey: stored.key,
                         isPrimary: j === 0, // First image is primary
                         displayOrder: j
                     });
-                    imageIndex++;
                 } catch (uploadError) {
                     console.error('Image upload error:', uploadError);
-                    // Continue without this image
+                    await client.query('ROLLBACK');
+                    await deleteImages(uploaded);
+                    return res.status(502).json({ error: `Failed to upload image "${file.originalname}" for option "${option.text}"` });
                 }
             }
             
             // Insert images into poll_option_images table
             for (const imageData of optionImages) {
                 await client.query(
-                    `INSERT INTO poll_option_images (option_id, image_url, is_primary, display_order) 
-             VALUES ($1, $2, $3, $4)`,
-                    [createdOption.id, imageData.imageUrl, imageData.isPrimary, imageData.displayOrder]
+                    `INSERT INTO poll_option_images (option_id, image_url, storage_key, is_primary, display_order) 
+             VALUES ($1, $2, $3, $4, $5)`,
+                    [createdOption.id, imageData.imageUrl, imageData.storageKey, imageData.isPrimary, imageData.displayOrder]
                 );
             }
             
@@ -182,6 +317,7 @@ router.post('/', authenticateToken, upload.fields([
 
     } catch (error) {
         await client.query('ROLLBACK');
+        await deleteImages(uploaded);
         console.error('Create poll error:', error);
         res.status(500).json({ error: 'Failed to create poll' });
     } finally {
@@ -189,388 +325,2079 @@ router.post('/', authenticateToken, upload.fields([
     }
 });
 
-// Get all polls (with pagination)
-router.get('/', optionalAuth, async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const offset = (page - 1) * limit;
-        const search = req.query.search || '';
-        const sortBy = req.query.sortBy || 'created_at';
-        const sortOrder = req.query.sortOrder || 'DESC';
-        const activeFilter = req.query.active;
-        
-        // Build where clause
-        let whereClause = 'WHERE p.is_active = true';
-        const queryParams = [];
-        let paramCount = 1;
-        
-        // Handle active filter
-        if (activeFilter === 'true') {
-            // Only active polls that haven't ended
-            whereClause += ' AND (p.end_date IS NULL OR p.end_date > CURRENT_TIMESTAMP)';
-        } else if (activeFilter === 'false') {
-            // Only polls that have ended
-            whereClause += ' AND p.end_date IS NOT NULL AND p.end_date <= CURRENT_TIMESTAMP';
+// Bulk poll imports: one CSV or JSON file (see services/pollImport.js for the layout)
+const MAX_IMPORT_POLLS = 100;
+const importUpload = multer({
+    storage,
+    limits: {
+        fileSize: 1024 * 1024 // 1MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (detectImportFormat(file)) {
+            cb(null, true);
+        } else {
+            const error = new Error(`Import files must be one of: ${IMPORT_FORMATS.join(', ')}`);
+            error.status = 400;
+            cb(error, false);
         }
-        // If activeFilter is undefined or 'all', show all active polls (no additional filter)
+    }
+});
 
-        if (search) {
-            whereClause += ` AND (p.title ILIKE $${paramCount} OR p.description ILIKE $${paramCount})`;
-            queryParams.push(`%${search}%`);
-            paramCount++;
-        }
+// Import many polls at once; every poll is validated like POST / and errors are reported per row
+// With ?dryRun=true the file is only checked; otherwise all polls are created in one transaction, or none are
+router.post('/import', authenticateToken, importUpload.single('file'), async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
 
-        // Valid sort columns
-        const validSortColumns = ['created_at', 'title', 'start_date'];
-        const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-        const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload the import file in the "file" field' });
+    }
 
-        // Get total count
-        const countResult = await pool.query(`
-      SELECT COUNT(*) as total
-      FROM polls p
-      JOIN users u ON p.creator_id = u.id
-      ${whereClause}
-    `, queryParams);
+    const format = detectImportFormat(req.file, req.body.format || req.query.format);
+    if (!format) {
+        return res.status(400).json({ error: `Import files must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
 
-        const total = parseInt(countResult.rows[0].total);
+    const parsed = parseImportFile(req.file.buffer, format);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
 
-        // Get polls with creator info
-        queryParams.push(limit, offset);
-        const pollsResult = await pool.query(`
-      SELECT 
-        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.created_at,
-        u.name as creator_name,
-        COUNT(vr.id) as total_votes
-      FROM polls p
-      JOIN users u ON p.creator_id = u.id
-      LEFT JOIN vote_records vr ON p.id = vr.poll_id
-      ${whereClause}
-      GROUP BY p.id, u.name
-      ORDER BY p.${sortColumn} ${order}
-      LIMIT $${paramCount} OFFSET $${paramCount + 1}
-    `, queryParams);
+    if (parsed.polls.length === 0) {
+        return res.status(400).json({ error: 'The import file has no polls' });
+    }
 
-        // Get options for each poll
-        const polls = [];
-        for (const poll of pollsResult.rows) {
-            const optionsResult = await pool.query(`
-        SELECT 
-          po.id, po.text, po.description,
-          COUNT(vr.id) as actual_vote_count
-        FROM poll_options po
-        LEFT JOIN vote_records vr ON po.id = vr.option_id
-        WHERE po.poll_id = $1
-        GROUP BY po.id, po.text, po.description
-        ORDER BY po.created_at
-      `, [poll.id]);
+    if (parsed.polls.length > MAX_IMPORT_POLLS) {
+        return res.status(400).json({ error: `An import can have at most ${MAX_IMPORT_POLLS} polls` });
+    }
 
-            // Get primary image for each option
-            const optionsWithImages = [];
-            for (const option of optionsResult.rows) {
-                const primaryImageResult = await pool.query(`
-          SELECT image_url FROM poll_option_images 
-          WHERE option_id = $1 AND is_primary = true 
-          ORDER BY display_order LIMIT 1
-        `, [option.id]);
-                
-                const primaryImageUrl = primaryImageResult.rows.length > 0 ? primaryImageResult.rows[0].image_url : null;
-                
-                optionsWithImages.push({
-                    ...option,
-                    imageUrl: primaryImageUrl,
-                    voteCount: parseInt(option.actual_vote_count)
-                });
+    // Validate every poll before anything is written, collecting all problems of each row
+    const polls = [];
+    const errors = [];
+    for (const { row, data } of parsed.polls) {
+        const { error, value } = importPollSchema.validate(data, { abortEarly: false });
+        const messages = error ? error.details.map(detail => detail.message) : [];
+
+        if (!error) {
+            const settings = resolvePollSettings(value);
+            if (settings.error) {
+                messages.push(settings.error);
+            } else {
+                polls.push({ row, value, settings });
             }
+        }
 
-            polls.push({
-                ...poll,
-                totalVotes: parseInt(poll.total_votes),
-                options: optionsWithImages
+        if (messages.length > 0) {
+            errors.push({
+                row,
+                ...(typeof data?.title === 'string' && { title: data.title }),
+                errors: messages
             });
         }
+    }
 
-        res.json({
-            polls,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-                hasNext: page < Math.ceil(total / limit),
-                hasPrev: page > 1
-            }
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: `${errors.length} of ${parsed.polls.length} poll(s) have errors; nothing was imported`,
+            dryRun,
+            errors
         });
+    }
 
-    } catch (error) {
-        console.error('Get polls error:', error);
-        res.status(500).json({ error: 'Failed to fetch polls' });
+    if (dryRun) {
+        return res.json({
+            message: `All ${polls.length} poll(s) are valid`,
+            dryRun,
+            polls: polls.map(({ row, value }) => ({
+                row,
+                title: value.title,
+                pollType: value.pollType,
+                optionCount: value.options.length
+            }))
+        });
     }
-});
 
-// Get single poll by ID
-router.get('/:id', optionalAuth, async (req, res) => {
+    const client = await pool.connect();
+
     try {
-        const pollId = req.params.id;
+        await client.query('BEGIN');
 
-        // Check cache first
-        const cachedResults = await getCachedPollResults(pollId);
-        if (cachedResults) {
-            return res.json(cachedResults);
-        }
+        const created = [];
+        for (const { row, value, settings } of polls) {
+            const poll = await insertPoll(client, req.user.userId, value, settings, { coverImageUrl: value.coverImageUrl });
 
-        // Get poll details
-        const pollResult = await pool.query(`
-      SELECT 
-        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.created_at,
-        u.name as creator_name, u.id as creator_id
-      FROM polls p
-      JOIN users u ON p.creator_id = u.id
-      WHERE p.id = $1
-    `, [pollId]);
+            for (const [index, option] of value.options.entries()) {
+                const optionResult = await client.query(
+                    `INSERT INTO poll_options (poll_id, text, description, display_order)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+                    [poll.id, option.text, option.description || null, index]
+                );
 
-        if (pollResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Poll not found' });
+                // Imported images are linked, not stored, so they have no storage key; the first is primary
+                for (const [imageIndex, imageUrl] of (option.imageUrls || []).entries()) {
+                    await client.query(
+                        `INSERT INTO poll_option_images (option_id, image_url, is_primary, display_order)
+             VALUES ($1, $2, $3, $4)`,
+                        [optionResult.rows[0].id, imageUrl, imageIndex === 0, imageIndex]
+                    );
+                }
+            }
+
+            created.push({ row, id: poll.id, title: poll.title });
         }
 
-        const poll = pollResult.rows[0];
+        await client.query('COMMIT');
 
-        // Get poll options with vote counts
-        const optionsResult = await pool.query(`
-      SELECT 
-        po.id, po.text, po.description, po.vote_count,
-        COUNT(vr.id) as actual_vote_count
-      FROM poll_options po
-      LEFT JOIN vote_records vr ON po.id = vr.option_id
-      WHERE po.poll_id = $1
-      GROUP BY po.id, po.text, po.description, po.vote_count
-      ORDER BY po.created_at
-    `, [pollId]);
+        res.status(201).json({
+            message: `Imported ${created.length} poll(s)`,
+            dryRun,
+            polls: created
+        });
 
-        // Get total votes
-        const totalVotesResult = await pool.query(`
-      SELECT COUNT(*) as total
-      FROM vote_records
-      WHERE poll_id = $1
-    `, [pollId]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Import polls error:', error);
+        res.status(500).json({ error: 'Failed to import polls' });
+    } finally {
+        client.release();
+    }
+});
 
-        const totalVotes = parseInt(totalVotesResult.rows[0].total);
+// Poll settings copied by templates and duplicates (pollData field -> polls column); dates are chosen anew
+const copiedPollColumns = {
+    title: 'title',
+    description: 'description',
+    pollType: 'poll_type',
+    minSelections: 'min_selections',
+    maxSelections: 'max_selections',
+    scoreMin: 'score_min',
+    scoreMax: 'score_max',
+    voteFrequency: 'vote_frequency',
+    votesPerDay: 'votes_per_day',
+    voteCooldownMinutes: 'vote_cooldown_minutes',
+    voteChangeWindowMinutes: 'vote_change_window_minutes',
+    allowGuestVotes: 'allow_guest_votes',
+    requireVerifiedEmail: 'require_verified_email',
+    anonymousVotes: 'anonymous_votes',
+    visibility: 'visibility',
+    resultsVisibility: 'results_visibility',
+    category: 'category'
+};
 
-        // Check if current user has voted today (if authenticated)
-        let userHasVotedToday = false;
-        if (req.user) {
-            // Try Redis first, fallback to database
-            userHasVotedToday = await hasVotedToday(req.user.userId, pollId);
-            
-            // Double-check with database if Redis check fails
-            if (!userHasVotedToday) {
-                const todayVoteResult = await pool.query(`
-          SELECT id FROM vote_records
-          WHERE user_id = $1 AND poll_id = $2 AND DATE(voted_at) = CURRENT_DATE
-        `, [req.user.userId, pollId]);
-
-                userHasVotedToday = todayVoteResult.rows.length > 0;
-            }
-        }
+// What can change when a poll is created from a template or duplicated
+const pollCopySchema = Joi.object({
+    title: createPollSchema.extract('title').optional(),
+    description: createPollSchema.extract('description'),
+    startDate: createPollSchema.extract('startDate'),
+    endDate: createPollSchema.extract('endDate')
+});
 
-        // Get images for each option
-        const optionsWithImages = [];
-        for (const option of optionsResult.rows) {
-            const imagesResult = await pool.query(`
-        SELECT image_url, is_primary, display_order
-        FROM poll_option_images
-        WHERE option_id = $1
-        ORDER BY display_order
-      `, [option.id]);
-
-            const images = imagesResult.rows.map(img => ({
-                url: img.image_url,
-                isPrimary: img.is_primary,
-                displayOrder: img.display_order
-            }));
-
-            optionsWithImages.push({
-                id: option.id,
-                text: option.text,
-                description: option.description,
-                images: images,
-                imageUrl: images.length > 0 ? images.find(img => img.isPrimary)?.url || images[0].url : null,
-                voteCount: parseInt(option.actual_vote_count),
-                percentage: totalVotes > 0 ? Math.round((option.actual_vote_count / totalVotes) * 100) : 0
-            });
-        }
+const templateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    // The poll whose settings, options and images the template keeps
+    pollId: Joi.string().uuid().required()
+});
 
-        const result = {
-            poll: {
-                ...poll,
-                totalVotes,
-                hasVotedToday: userHasVotedToday,
-                canEdit: req.user?.userId === poll.creator_id,
-                options: optionsWithImages
-            }
-        };
+const updateTemplateSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    pollId: Joi.string().uuid()
+}).min(1);
 
-        // Cache the results for 5 minutes
-        await cachePollResults(pollId, result, 300);
+// Poll to copy, if it's the user's own; resolves to { poll } or { status, error }
+const getCopySourcePoll = async (pollId, userId, db) => {
+    const pollResult = await db.query(`
+      SELECT id, creator_id, hidden_at, image_url, image_storage_key, ${Object.values(copiedPollColumns).join(', ')}
+      FROM polls WHERE id = $1
+    `, [pollId]);
 
-        res.json(result);
+    if (pollResult.rows.length === 0) {
+        return { status: 404, error: 'Poll not found' };
+    }
 
-    } catch (error) {
-        console.error('Get poll error:', error);
-        res.status(500).json({ error: 'Failed to fetch poll' });
+    if (pollResult.rows[0].creator_id !== userId) {
+        return { status: 403, error: 'Only the poll creator can copy a poll' };
     }
-});
 
-// Get single poll option by ID
-router.get('/:pollId/options/:optionId', async (req, res) => {
-    try {
-        const { pollId, optionId } = req.params;
+    if (pollResult.rows[0].hidden_at) {
+        return { status: 403, error: 'Polls hidden by a moderator cannot be copied' };
+    }
 
-        // 1. Get option details
-        const optionResult = await pool.query(`
-            SELECT id, poll_id, text, description 
-            FROM poll_options 
-            WHERE id = $1 AND poll_id = $2
-        `, [optionId, pollId]);
+    return { poll: pollResult.rows[0] };
+};
 
-        if (optionResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Poll option not found' });
+// A poll's settings (as pollData fields), cover image and options with their stored images
+// Options and images hidden by moderators are left out
+const getPollCopyData = async (poll, db) => {
+    const data = {};
+    for (const [field, column] of Object.entries(copiedPollColumns)) {
+        if (poll[column] !== null) {
+            data[field] = poll[column];
         }
+    }
 
-        const option = optionResult.rows[0];
+    const tagsResult = await db.query(`
+      SELECT tag FROM poll_tags WHERE poll_id = $1 ORDER BY tag
+    `, [poll.id]);
+
+    const optionsResult = await db.query(`
+      SELECT id, text, description FROM poll_options
+      WHERE poll_id = $1 AND hidden_at IS NULL
+      ORDER BY display_order, created_at
+    `, [poll.id]);
+
+    const imagesResult = await db.query(`
+      SELECT option_id, image_url, storage_key FROM poll_option_images
+      WHERE option_id = ANY($1::uuid[]) AND hidden_at IS NULL
+      ORDER BY display_order, created_at
+    `, [optionsResult.rows.map(option => option.id)]);
+
+    return {
+        ...data,
+        tags: tagsResult.rows.map(row => row.tag),
+        coverImage: poll.image_url ? { url: poll.image_url, storageKey: poll.image_storage_key } : null,
+        options: optionsResult.rows.map(option => ({
+            text: option.text,
+            ...(option.description && { description: option.description }),
+            images: imagesResult.rows
+                .filter(image => image.option_id === option.id)
+                .map(image => ({ url: image.image_url, storageKey: image.storage_key }))
+        }))
+    };
+};
 
-        // 2. Get all images for the option
-        const imagesResult = await pool.query(`
-            SELECT image_url, is_primary, display_order 
-            FROM poll_option_images 
-            WHERE option_id = $1 
-            ORDER BY display_order
-        `, [optionId]);
+// Every stored image in copy data ({ url, storageKey }); templates record their URLs in image_urls
+// so the images stay in storage while a template uses them
+const copyDataImages = (data) => [
+    ...(data.coverImage ? [data.coverImage] : []),
+    ...data.options.flatMap(option => option.images)
+];
+
+// Create a poll from copy data with the given changes (title, description, dates), validated like POST /
+// The new poll starts without votes and reuses the stored images; resolves to { poll } or { error }
+const createPollFromCopy = async (db, creatorId, data, changes) => {
+    const { coverImage, options, ...settings } = data;
+
+    const { error, value } = createPollSchema.validate({
+        ...settings,
+        ...changes,
+        options: options.map(({ text, description }) => ({ text, ...(description && { description }) }))
+    });
+    if (error) {
+        return { error: error.details[0].message };
+    }
 
-        const images = imagesResult.rows.map(img => ({
-            url: img.image_url,
-            isPrimary: img.is_primary,
-            displayOrder: img.display_order
-        }));
+    const pollSettings = resolvePollSettings(value);
+    if (pollSettings.error) {
+        return { error: pollSettings.error };
+    }
 
-        // 3. Get vote count for this specific option
-        const voteCountResult = await pool.query(`
-            SELECT COUNT(*) as count 
-            FROM vote_records 
-            WHERE option_id = $1
-        `, [optionId]);
-        
-        const voteCount = parseInt(voteCountResult.rows[0].count);
+    const poll = await insertPoll(db, creatorId, value, pollSettings, {
+        coverImageUrl: coverImage ? coverImage.url : null,
+        coverStorageKey: coverImage ? coverImage.storageKey : null
+    });
 
-        // 4. Get total votes for the parent poll
-        const totalVotesResult = await pool.query(`
-            SELECT COUNT(*) as total 
-            FROM vote_records 
-            WHERE poll_id = $1
-        `, [pollId]);
+    const createdOptions = [];
+    for (const [index, option] of options.entries()) {
+        const optionResult = await db.query(
+            `INSERT INTO poll_options (poll_id, text, description, display_order)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, text, description, display_order, vote_count`,
+            [poll.id, option.text, option.description || null, index]
+        );
 
-        const totalVotes = parseInt(totalVotesResult.rows[0].total);
+        for (const [imageIndex, image] of option.images.entries()) {
+            await db.query(
+                `INSERT INTO poll_option_images (option_id, image_url, storage_key, is_primary, display_order)
+         VALUES ($1, $2, $3, $4, $5)`,
+                [optionResult.rows[0].id, image.url, image.storageKey, imageIndex === 0, imageIndex]
+            );
+        }
 
-        // 5. Assemble the final result
-        const result = {
-            ...option,
-            images,
-            voteCount,
-            percentage: totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0
-        };
+        createdOptions.push({
+            ...optionResult.rows[0],
+            imageUrl: option.images.length > 0 ? option.images[0].url : null
+        });
+    }
 
-        res.json(result);
+    return { poll: { ...poll, options: createdOptions } };
+};
 
-    } catch (error) {
+const formatTemplate = (template, withPollData = false) => ({
+    id: template.id,
+    name: template.name,
+    title: template.poll_data.title,
+    pollType: template.poll_data.pollType,
+    optionCount: template.poll_data.options.length,
+    ...(withPollData && { pollData: template.poll_data }),
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+});
+
+// Template of the user's, if it exists; resolves to { template } or { status, error }
+const getOwnTemplate = async (templateId, userId, db) => {
+    const templateResult = await db.query(`
+      SELECT * FROM poll_templates WHERE id = $1 AND user_id = $2
+    `, [templateId, userId]);
+
+    if (templateResult.rows.length === 0) {
+        return { status: 404, error: 'Template not found' };
+    }
+
+    return { template: templateResult.rows[0] };
+};
+
+// Duplicate a poll with its options and images, starting without votes (only by creator)
+router.post('/:id/duplicate', authenticateToken, async (req, res) => {
+    const { error, value } = pollCopySchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const source = await getCopySourcePoll(req.params.id, req.user.userId, client);
+        if (source.error) {
+            await client.query('ROLLBACK');
+            return res.status(source.status).json({ error: source.error });
+        }
+
+        const data = await getPollCopyData(source.poll, client);
+        const created = await createPollFromCopy(client, req.user.userId, data, value);
+        if (created.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: created.error });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Poll duplicated successfully',
+            poll: created.poll
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Duplicate poll error:', error);
+        res.status(500).json({ error: 'Failed to duplicate poll' });
+    } finally {
+        client.release();
+    }
+});
+
+// List the user's poll templates
+router.get('/templates', authenticateToken, async (req, res) => {
+    try {
+        const templatesResult = await pool.query(`
+      SELECT * FROM poll_templates
+      WHERE user_id = $1
+      ORDER BY name
+    `, [req.user.userId]);
+
+        res.json({ templates: templatesResult.rows.map(template => formatTemplate(template)) });
+
+    } catch (error) {
+        console.error('List templates error:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+});
+
+// Save one of the user's polls as a named template
+router.post('/templates', authenticateToken, async (req, res) => {
+    try {
+        const { error, value } = templateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const source = await getCopySourcePoll(value.pollId, req.user.userId, pool);
+        if (source.error) {
+            return res.status(source.status).json({ error: source.error });
+        }
+
+        const data = await getPollCopyData(source.poll, pool);
+
+        const result = await pool.query(`
+      INSERT INTO poll_templates (user_id, name, poll_data, image_urls)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [req.user.userId, value.name, data, copyDataImages(data).map(image => image.url)]);
+
+        res.status(201).json({
+            message: 'Template saved successfully',
+            template: formatTemplate(result.rows[0], true)
+        });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'You already have a template with this name' });
+        }
+        console.error('Create template error:', error);
+        res.status(500).json({ error: 'Failed to save template' });
+    }
+});
+
+// Get one of the user's templates with everything it keeps
+router.get('/templates/:templateId', authenticateToken, async (req, res) => {
+    try {
+        const owned = await getOwnTemplate(req.params.templateId, req.user.userId, pool);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        res.json({ template: formatTemplate(owned.template, true) });
+
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+});
+
+// Rename a template, or replace what it keeps with another of the user's polls
+router.put('/templates/:templateId', authenticateToken, async (req, res) => {
+    try {
+        const { error, value } = updateTemplateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const owned = await getOwnTemplate(req.params.templateId, req.user.userId, pool);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        let data = owned.template.poll_data;
+        if (value.pollId) {
+            const source = await getCopySourcePoll(value.pollId, req.user.userId, pool);
+            if (source.error) {
+                return res.status(source.status).json({ error: source.error });
+            }
+            data = await getPollCopyData(source.poll, pool);
+        }
+
+        const result = await pool.query(`
+      UPDATE poll_templates
+      SET name = $1, poll_data = $2, image_urls = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [value.name || owned.template.name, data, copyDataImages(data).map(image => image.url), owned.template.id]);
+
+        // Images only the old template content used are no longer needed
+        if (value.pollId) {
+            const kept = new Set(result.rows[0].image_urls);
+            await deleteUnusedImages(copyDataImages(owned.template.poll_data).filter(image => !kept.has(image.url)));
+        }
+
+        res.json({
+            message: 'Template updated successfully',
+            template: formatTemplate(result.rows[0], true)
+        });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'You already have a template with this name' });
+        }
+        console.error('Update template error:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+// Delete a template (its images stay while polls still use them)
+router.delete('/templates/:templateId', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(`
+      DELETE FROM poll_templates WHERE id = $1 AND user_id = $2
+      RETURNING poll_data
+    `, [req.params.templateId, req.user.userId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        await deleteUnusedImages(copyDataImages(result.rows[0].poll_data));
+
+        res.json({ message: 'Template deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+// Create a poll from one of the user's templates, with its own title, description and dates if given
+router.post('/templates/:templateId/polls', authenticateToken, async (req, res) => {
+    const { error, value } = pollCopySchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const owned = await getOwnTemplate(req.params.templateId, req.user.userId, client);
+        if (owned.error) {
+            await client.query('ROLLBACK');
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const created = await createPollFromCopy(client, req.user.userId, owned.template.poll_data, value);
+        if (created.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: created.error });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Poll created successfully',
+            poll: created.poll
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create poll from template error:', error);
+        res.status(500).json({ error: 'Failed to create poll from template' });
+    } finally {
+        client.release();
+    }
+});
+
+// Listing filters shared by GET / and GET /my/polls (conditions on polls as p, values added to queryParams):
+// search, active (true: still running, false: ended, otherwise all), category, and tags
+// (comma-separated or repeated) where tagMatch=all asks for every tag instead of any of them
+const pollListFilters = (query, queryParams) => {
+    const conditions = [];
+    const param = (value) => {
+        queryParams.push(value);
+        return `$${queryParams.length}`;
+    };
+
+    if (query.active === 'true') {
+        // Only active polls that haven't ended
+        conditions.push('(p.end_date IS NULL OR p.end_date > CURRENT_TIMESTAMP)');
+    } else if (query.active === 'false') {
+        // Only polls that have ended
+        conditions.push('p.end_date IS NOT NULL AND p.end_date <= CURRENT_TIMESTAMP');
+    }
+
+    if (query.search) {
+        const search = param(`%${query.search}%`);
+        conditions.push(`(p.title ILIKE ${search} OR p.description ILIKE ${search})`);
+    }
+
+    if (query.category) {
+        conditions.push(`p.category = ${param(query.category)}`);
+    }
+
+    const tags = parseTagList(query.tags);
+    if (tags.length > 0) {
+        const tagList = param(tags);
+        conditions.push(query.tagMatch === 'all'
+            ? `(SELECT COUNT(*) FROM poll_tags pt WHERE pt.poll_id = p.id AND pt.tag = ANY(${tagList})) = ${tags.length}`
+            : `EXISTS (SELECT 1 FROM poll_tags pt WHERE pt.poll_id = p.id AND pt.tag = ANY(${tagList}))`);
+    }
+
+    return conditions;
+};
+
+// Tags of listed polls with their poll counts, for browsing (?category=, ?prefix= to narrow, ?limit= up to 100)
+router.get('/tags', async (req, res) => {
+    try {
+        const tags = await getTagCounts({
+            category: req.query.category || null,
+            prefix: parseTagList(req.query.prefix)[0] || '',
+            limit: Math.min(parseInt(req.query.limit) || 50, 100)
+        });
+
+        res.json({ tags });
+
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+});
+
+// Categories polls can be filed under
+router.get('/categories', (req, res) => {
+    res.json({ categories: POLL_CATEGORIES });
+});
+
+// Get all polls (with pagination)
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const offset = (page - 1) * limit;
+        const sortBy = req.query.sortBy || 'created_at';
+        const sortOrder = req.query.sortOrder || 'DESC';
+        
+        // Build where clause
+        // Unlisted and private polls are never listed; scheduled polls appear once they open,
+        // and polls the scheduler closed stay listed (but not ones their creator deactivated).
+        // Polls hidden by moderators are left out too
+        const queryParams = [];
+        const whereClause = [
+            "WHERE (p.is_active = true OR p.closed_at IS NOT NULL) AND p.visibility = 'public' AND p.hidden_at IS NULL",
+            ...pollListFilters(req.query, queryParams)
+        ].join(' AND ');
+        const paramCount = queryParams.length + 1;
+
+        // Valid sort columns
+        const validSortColumns = ['created_at', 'title', 'start_date'];
+        const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
+        const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        // Get total count
+        const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM polls p
+      JOIN users u ON p.creator_id = u.id
+      ${whereClause}
+    `, queryParams);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        // Get polls with creator info
+        queryParams.push(limit, offset);
+        const pollsResult = await pool.query(`
+      SELECT 
+        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.poll_type, p.min_selections, p.max_selections, p.score_min, p.score_max,
+        p.vote_frequency, p.votes_per_day, p.vote_cooldown_minutes, p.vote_change_window_minutes, p.allow_guest_votes, p.require_verified_email, p.anonymous_votes, p.visibility, p.results_visibility, p.created_at,
+        p.category, ${pollTagsSql} as tags,
+        u.name as creator_name, u.id as creator_id,
+        COUNT(vr.id) as total_votes
+      FROM polls p
+      JOIN users u ON p.creator_id = u.id
+      LEFT JOIN vote_records vr ON p.id = vr.poll_id
+      ${whereClause}
+      GROUP BY p.id, u.name
+      ORDER BY p.${sortColumn} ${order}
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, queryParams);
+
+        // Get options for each poll
+        const viewer = getViewer(req);
+        const polls = [];
+        for (const poll of pollsResult.rows) {
+            const optionsResult = await pool.query(`
+        SELECT 
+          po.id, ${visibleOptionTextSql} as text, ${visibleOptionDescriptionSql} as description,
+          po.hidden_at IS NOT NULL as hidden,
+          ${optionVoteCountSql} as actual_vote_count
+        FROM poll_options po
+        JOIN polls p ON po.poll_id = p.id
+        WHERE po.poll_id = $1
+        ORDER BY po.display_order, po.created_at
+      `, [poll.id]);
+
+            // Get primary image for each option
+            const optionsWithImages = [];
+            for (const option of optionsResult.rows) {
+                const primaryImageResult = await pool.query(`
+          SELECT image_url FROM poll_option_images 
+          WHERE option_id = $1 AND is_primary = true AND hidden_at IS NULL
+          ORDER BY display_order LIMIT 1
+        `, [option.id]);
+                
+                const primaryImageUrl = primaryImageResult.rows.length > 0 && !option.hidden ? primaryImageResult.rows[0].image_url : null;
+                
+                optionsWithImages.push({
+                    ...option,
+                    imageUrl: primaryImageUrl,
+                    voteCount: parseInt(option.actual_vote_count)
+                });
+            }
+
+            const pollWithResults = {
+                ...poll,
+                totalVotes: parseInt(poll.total_votes),
+                options: optionsWithImages
+            };
+
+            // Leave out counts the viewer isn't allowed to see yet
+            polls.push(await canSeeResults(poll, viewer) ? pollWithResults : hideResults(pollWithResults));
+        }
+
+        res.json({
+            polls,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get polls error:', error);
+        res.status(500).json({ error: 'Failed to fetch polls' });
+    }
+});
+
+// Load a poll with its options and full results (null if the poll doesn't exist)
+// The result is the same for every viewer, so it is what GET /:id caches
+const buildPollResults = async (pollId) => {
+    // Get poll details
+    const pollResult = await pool.query(`
+      SELECT 
+        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.poll_type, p.min_selections, p.max_selections, p.score_min, p.score_max,
+        p.vote_frequency, p.votes_per_day, p.vote_cooldown_minutes, p.vote_change_window_minutes, p.allow_guest_votes, p.require_verified_email, p.anonymous_votes, p.visibility, p.results_visibility, p.created_at,
+        p.category, ${pollTagsSql} as tags,
+        p.hidden_at, p.hidden_reason,
+        u.name as creator_name, u.id as creator_id
+      FROM polls p
+      JOIN users u ON p.creator_id = u.id
+      WHERE p.id = $1
+    `, [pollId]);
+
+    if (pollResult.rows.length === 0) {
+        return null;
+    }
+
+    const poll = pollResult.rows[0];
+
+    // Get poll options with vote counts
+    const optionsResult = await pool.query(`
+      SELECT 
+        po.id, ${visibleOptionTextSql} as text, ${visibleOptionDescriptionSql} as description, po.vote_count,
+        po.hidden_at IS NOT NULL as hidden,
+        ${optionVoteCountSql} as actual_vote_count
+      FROM poll_options po
+      JOIN polls p ON po.poll_id = p.id
+      WHERE po.poll_id = $1
+      ORDER BY po.display_order, po.created_at
+    `, [pollId]);
+
+    // Get total votes
+    const totalVotesResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM vote_records
+      WHERE poll_id = $1
+    `, [pollId]);
+
+    const totalVotes = parseInt(totalVotesResult.rows[0].total);
+
+    // Multiple-choice ballots select several options, so also report per-selection shares
+    const isMultiple = poll.poll_type === 'multiple';
+    const totalSelections = optionsResult.rows.reduce((sum, option) => sum + parseInt(option.actual_vote_count), 0);
+
+    // Score polls report mean, median and spread instead of percentages
+    const isScore = poll.poll_type === 'score';
+    const scoreResults = isScore ? await getScoreResults(pollId, poll.score_min, poll.score_max) : null;
+
+    // Get images for each option (none for hidden options, and not the ones moderators hid)
+    const optionsWithImages = [];
+    for (const option of optionsResult.rows) {
+        const imagesResult = await pool.query(`
+        SELECT id, image_url, is_primary, display_order
+        FROM poll_option_images
+        WHERE option_id = $1 AND hidden_at IS NULL AND NOT $2
+        ORDER BY display_order
+      `, [option.id, option.hidden]);
+
+        const images = imagesResult.rows.map(img => ({
+            id: img.id,
+            url: img.image_url,
+            isPrimary: img.is_primary,
+            displayOrder: img.display_order
+        }));
+
+        optionsWithImages.push({
+            id: option.id,
+            text: option.text,
+            description: option.description,
+            ...(option.hidden && { hidden: true }),
+            images: images,
+            imageUrl: images.length > 0 ? images.find(img => img.isPrimary)?.url || images[0].url : null,
+            voteCount: parseInt(option.actual_vote_count),
+            ...(isScore ? scoreResults(option.id) : {
+                percentage: totalVotes > 0 ? Math.round((option.actual_vote_count / totalVotes) * 100) : 0
+            }),
+            ...(isMultiple && {
+                selectionPercentage: totalSelections > 0 ? Math.round((option.actual_vote_count / totalSelections) * 100) : 0
+            })
+        });
+    }
+
+    return {
+        poll: {
+            ...poll,
+            totalVotes,
+            // Percentages are the share of ballots that chose each option
+            ...(!isScore && { percentageBasis: 'ballots' }),
+            ...(isMultiple && { totalSelections }),
+            options: optionsWithImages
+        }
+    };
+};
+
+// Polls hidden by moderators stay visible to their creator (with a notice) and to moderators
+const canViewPoll = (poll, req) => !poll.hidden_at
+    || req.user?.userId === poll.creator_id
+    || hasPermission(req.user?.role, 'content:moderate');
+
+// Get single poll by ID
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const pollId = req.params.id;
+
+        // The cache holds the full results shared by every viewer; access, result visibility
+        // and the viewer's own eligibility are applied per request below
+        let result = await getCachedPollResults(pollId);
+        if (!result) {
+            result = await buildPollResults(pollId);
+            if (!result) {
+                return res.status(404).json({ error: 'Poll not found' });
+            }
+
+            // Cache the results for 5 minutes
+            await cachePollResults(pollId, result, 300);
+        }
+
+        const { hidden_at: hiddenAt, hidden_reason: hiddenReason, ...poll } = result.poll;
+        const moderation = moderationNotice({ hidden_at: hiddenAt, hidden_reason: hiddenReason });
+
+        if (!canViewPoll(result.poll, req)) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (!(await canAccessPoll(poll, req))) {
+            return res.status(403).json({ error: 'This poll is private', accessRequired: true });
+        }
+
+        // Check the current user's voting eligibility (if authenticated)
+        let userHasVotedToday = false;
+        let nextEligibleAt = null;
+        if (req.user) {
+            const eligibility = await getVoteEligibility(poll, { userId: req.user.userId });
+            userHasVotedToday = eligibility.votesToday > 0;
+            nextEligibleAt = eligibility.nextEligibleAt;
+        }
+
+        const resultsVisible = await canSeeResults(poll, getViewer(req));
+
+        res.json({
+            poll: {
+                ...(resultsVisible ? poll : hideResults(poll)),
+                hasVotedToday: userHasVotedToday,
+                nextEligibleAt,
+                canEdit: req.user?.userId === poll.creator_id,
+                ...(moderation && { moderation })
+            }
+        });
+
+    } catch (error) {
+        console.error('Get poll error:', error);
+        res.status(500).json({ error: 'Failed to fetch poll' });
+    }
+});
+
+// Stream live poll results (Server-Sent Events)
+router.get('/:id/live', optionalAuth, async (req, res) => {
+    const pollId = req.params.id;
+    let unsubscribe = null;
+    let heartbeat = null;
+    let closed = false;
+
+    const cleanup = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+
+    try {
+        const pollResult = await pool.query(`
+      SELECT id, creator_id, visibility, results_visibility, is_active, end_date, hidden_at FROM polls WHERE id = $1
+    `, [pollId]);
+
+        if (pollResult.rows.length === 0 || !canViewPoll(pollResult.rows[0], req)) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        const poll = pollResult.rows[0];
+
+        if (!(await canAccessPoll(poll, req))) {
+            return res.status(403).json({ error: 'This poll is private', accessRequired: true });
+        }
+
+        // Counts stay hidden until the viewer may see them. Each update re-reads the poll's state, since
+        // voting, the poll closing (by its creator or the scheduler) or a settings change can reveal or
+        // hide them mid-stream
+        const viewer = getViewer(req);
+
+        const sendResults = async (results) => {
+            try {
+                const stateResult = await pool.query(`
+          SELECT results_visibility, is_active, end_date FROM polls WHERE id = $1
+        `, [pollId]);
+                Object.assign(poll, stateResult.rows[0]);
+
+                const payload = await canSeeResults(poll, viewer) ? results : hideResults(results);
+                res.write(`event: results\ndata: ${JSON.stringify(payload)}\n\n`);
+            } catch (error) {
+                console.error('Live poll results error:', error);
+            }
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.write('retry: 5000\n\n');
+
+        req.on('close', cleanup);
+
+        // Send the current snapshot, then forward updates published by any instance
+        await sendResults(await getLiveResults(pollId));
+
+        const stop = await subscribePollUpdates(pollId, sendResults);
+        if (closed) {
+            stop();
+            return;
+        }
+        unsubscribe = stop;
+
+        // Keep the connection open through proxies
+        heartbeat = setInterval(() => {
+            res.write(': ping\n\n');
+        }, 25000);
+
+    } catch (error) {
+        cleanup();
+        console.error('Live poll results error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Failed to stream poll results' });
+        }
+        res.end();
+    }
+});
+
+// Get single poll option by ID
+router.get('/:pollId/options/:optionId', optionalAuth, async (req, res) => {
+    try {
+        const { pollId, optionId } = req.params;
+
+        // 1. Get option details
+        const optionResult = await pool.query(`
+            SELECT po.id, po.poll_id, ${visibleOptionTextSql} as text, ${visibleOptionDescriptionSql} as description,
+                po.hidden_at IS NOT NULL as hidden,
+                p.visibility, p.creator_id, p.results_visibility, p.is_active, p.end_date, p.hidden_at,
+                p.poll_type, p.score_min, p.score_max,
+                ${optionVoteCountSql} as vote_count
+            FROM poll_options po
+            JOIN polls p ON po.poll_id = p.id
+            WHERE po.id = $1 AND po.poll_id = $2
+        `, [optionId, pollId]);
+
+        if (optionResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        const {
+            vote_count: optionVoteCount, visibility, creator_id: creatorId,
+            results_visibility: resultsVisibility, is_active: isActive, end_date: endDate, hidden_at: hiddenAt,
+            poll_type: pollType, score_min: scoreMin, score_max: scoreMax, ...option
+        } = optionResult.rows[0];
+        const poll = {
+            id: pollId, visibility, creator_id: creatorId,
+            results_visibility: resultsVisibility, is_active: isActive, end_date: endDate, hidden_at: hiddenAt
+        };
+
+        if (!canViewPoll(poll, req)) {
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        if (!(await canAccessPoll(poll, req))) {
+            return res.status(403).json({ error: 'This poll is private', accessRequired: true });
+        }
+
+        // 2. Get all images for the option (except hidden ones)
+        const imagesResult = await pool.query(`
+            SELECT id, image_url, is_primary, display_order 
+            FROM poll_option_images 
+            WHERE option_id = $1 AND hidden_at IS NULL AND NOT $2
+            ORDER BY display_order
+        `, [optionId, option.hidden]);
+
+        const images = imagesResult.rows.map(img => ({
+            id: img.id,
+            url: img.image_url,
+            isPrimary: img.is_primary,
+            displayOrder: img.display_order
+        }));
+
+        // 3. Vote count for this specific option (counted per selection for multiple choice)
+        const voteCount = parseInt(optionVoteCount);
+
+        // 4. Get total votes for the parent poll
+        const totalVotesResult = await pool.query(`
+            SELECT COUNT(*) as total 
+            FROM vote_records 
+            WHERE poll_id = $1
+        `, [pollId]);
+
+        const totalVotes = parseInt(totalVotesResult.rows[0].total);
+
+        // 5. The same per-type figures as the option has in the poll's results: score polls report
+        // mean, median and spread, multiple-choice polls also the share of all selections
+        let typeResults;
+        if (pollType === 'score') {
+            typeResults = (await getScoreResults(pollId, scoreMin, scoreMax))(optionId);
+        } else {
+            typeResults = {
+                percentage: totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0,
+                percentageBasis: 'ballots'
+            };
+        }
+
+        if (pollType === 'multiple') {
+            const selectionsResult = await pool.query(`
+                SELECT COUNT(*) as total
+                FROM vote_selections vs
+                JOIN vote_records vr ON vs.vote_id = vr.id
+                WHERE vr.poll_id = $1
+            `, [pollId]);
+
+            const totalSelections = parseInt(selectionsResult.rows[0].total);
+            typeResults.selectionPercentage = totalSelections > 0 ? Math.round((voteCount / totalSelections) * 100) : 0;
+        }
+
+        // 6. Assemble the final result
+        const result = {
+            ...option,
+            images,
+            voteCount,
+            ...typeResults
+        };
+
+        res.json(await canSeeResults(poll, getViewer(req)) ? result : hideResults(result));
+
+    } catch (error) {
         console.error('Get poll option error:', error);
         res.status(500).json({ error: 'Failed to fetch poll option' });
     }
 });
 
-// Get polls created by current user
-router.get('/my/polls', authenticateToken, async (req, res) => {
+// Get polls created by current user
+router.get('/my/polls', authenticateToken, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const offset = (page - 1) * limit;
+
+        const queryParams = [req.user.userId];
+        const whereClause = ['WHERE p.creator_id = $1', ...pollListFilters(req.query, queryParams)].join(' AND ');
+
+        // Get total count
+        const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM polls p
+      ${whereClause}
+    `, queryParams);
+
+        const total = parseInt(countResult.rows[0].total);
+
+        // Get user's polls
+        const pollsResult = await pool.query(`
+      SELECT 
+        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.poll_type, p.min_selections, p.max_selections, p.score_min, p.score_max,
+        p.vote_frequency, p.votes_per_day, p.vote_cooldown_minutes, p.vote_change_window_minutes, p.allow_guest_votes, p.require_verified_email, p.anonymous_votes, p.visibility, p.results_visibility, p.created_at,
+        p.category, ${pollTagsSql} as tags,
+        p.hidden_at, p.hidden_reason,
+        COUNT(vr.id) as total_votes
+      FROM polls p
+      LEFT JOIN vote_records vr ON p.id = vr.poll_id
+      ${whereClause}
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, limit, offset]);
+
+        // Get options for each poll
+        const polls = [];
+        for (const poll of pollsResult.rows) {
+            const optionsResult = await pool.query(`
+        SELECT 
+          po.id, po.text, po.description, po.hidden_at IS NOT NULL as hidden,
+          ${optionVoteCountSql} as actual_vote_count
+        FROM poll_options po
+        JOIN polls p ON po.poll_id = p.id
+        WHERE po.poll_id = $1
+        ORDER BY po.display_order, po.created_at
+      `, [poll.id]);
+
+            // Get primary image for each option
+            const optionsWithImages = [];
+            for (const option of optionsResult.rows) {
+                const primaryImageResult = await pool.query(`
+          SELECT image_url FROM poll_option_images 
+          WHERE option_id = $1 AND is_primary = true 
+          ORDER BY display_order LIMIT 1
+        `, [option.id]);
+                
+                const primaryImageUrl = primaryImageResult.rows.length > 0 ? primaryImageResult.rows[0].image_url : null;
+                
+                optionsWithImages.push({
+                    ...option,
+                    imageUrl: primaryImageUrl,
+                    voteCount: parseInt(option.actual_vote_count)
+                });
+            }
+
+            // Creators still see their hidden polls, with the moderator's reason
+            const { hidden_at: hiddenAt, hidden_reason: hiddenReason, ...ownPoll } = poll;
+            const moderation = moderationNotice({ hidden_at: hiddenAt, hidden_reason: hiddenReason });
+
+            polls.push({
+                ...ownPoll,
+                totalVotes: parseInt(poll.total_votes),
+                options: optionsWithImages,
+                ...(moderation && { moderation })
+            });
+        }
+
+        res.json({
+            polls,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my polls error:', error);
+        res.status(500).json({ error: 'Failed to fetch your polls' });
+    }
+});
+
+// Format an invite row for the API (with a freshly signed invite token and link)
+const formatInvite = (invite) => {
+    const token = signInviteToken(invite);
+    return {
+        id: invite.id,
+        label: invite.label,
+        code: invite.code,
+        maxUses: invite.max_uses,
+        useCount: invite.use_count,
+        expiresAt: invite.expires_at,
+        revokedAt: invite.revoked_at,
+        createdAt: invite.created_at,
+        token,
+        link: buildInviteLink(invite.poll_id, token)
+    };
+};
+
+// Create an invite (link + access code) for a poll (only by creator)
+router.post('/:id/invites', authenticateToken, async (req, res) => {
+    try {
+        const pollId = req.params.id;
+        const inviteSchema = Joi.object({
+            label: Joi.string().max(100).optional(),
+            maxUses: Joi.number().integer().min(1).optional(),
+            expiresAt: Joi.date().greater('now').optional()
+        });
+
+        const { error, value } = inviteSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        // Check if poll exists and user is the creator
+        const pollResult = await pool.query(`
+      SELECT id, creator_id FROM polls WHERE id = $1
+    `, [pollId]);
+
+        if (pollResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (pollResult.rows[0].creator_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the poll creator can manage invites' });
+        }
+
+        // Retry on the (unlikely) event of an access code collision
+        let result;
+        for (let attempt = 0; !result; attempt++) {
+            try {
+                result = await pool.query(`
+          INSERT INTO poll_invites (poll_id, code, label, max_uses, expires_at, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [pollId, generateAccessCode(), value.label || null, value.maxUses || null, value.expiresAt || null, req.user.userId]);
+            } catch (insertError) {
+                if (insertError.code !== '23505' || attempt >= 2) {
+                    throw insertError;
+                }
+            }
+        }
+
+        res.status(201).json({
+            message: 'Invite created successfully',
+            invite: formatInvite(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Create invite error:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// List a poll's invites (only by creator)
+router.get('/:id/invites', authenticateToken, async (req, res) => {
+    try {
+        const pollId = req.params.id;
+
+        // Check if poll exists and user is the creator
+        const pollResult = await pool.query(`
+      SELECT id, creator_id FROM polls WHERE id = $1
+    `, [pollId]);
+
+        if (pollResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (pollResult.rows[0].creator_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the poll creator can manage invites' });
+        }
+
+        const invitesResult = await pool.query(`
+      SELECT * FROM poll_invites
+      WHERE poll_id = $1
+      ORDER BY created_at DESC
+    `, [pollId]);
+
+        res.json({ invites: invitesResult.rows.map(formatInvite) });
+
+    } catch (error) {
+        console.error('List invites error:', error);
+        res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+});
+
+// Revoke an invite and the access it granted (only by creator)
+router.delete('/:id/invites/:inviteId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { id: pollId, inviteId } = req.params;
+
+        // Check if poll exists and user is the creator
+        const pollResult = await client.query(`
+      SELECT id, creator_id FROM polls WHERE id = $1
+    `, [pollId]);
+
+        if (pollResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (pollResult.rows[0].creator_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the poll creator can manage invites' });
+        }
+
+        await client.query('BEGIN');
+
+        const inviteResult = await client.query(`
+      UPDATE poll_invites
+      SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND poll_id = $2
+      RETURNING *
+    `, [inviteId, pollId]);
+
+        if (inviteResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        await client.query('DELETE FROM poll_access_grants WHERE invite_id = $1', [inviteId]);
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Invite revoked successfully',
+            invite: formatInvite(inviteResult.rows[0])
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    } finally {
+        client.release();
+    }
+});
+
+// Redeem the invite a request carries (X-Poll-Invite / X-Poll-Access-Code) for a signed-in user or guest,
+// so they keep access to the private poll without presenting it again (voting redeems it too)
+router.post('/:id/invites/redeem', authenticateVoter, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const voter = req.guest ? { guestId: req.guest.guestId } : { userId: req.user.userId };
+
+        await client.query('BEGIN');
+
+        const pollResult = await client.query(`
+      SELECT id, visibility, creator_id FROM polls WHERE id = $1
+    `, [req.params.id]);
+
+        if (pollResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (!(await redeemPollInvite(pollResult.rows[0], voter, req, client))) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'This invite is invalid, expired or used up', accessRequired: true });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Invite redeemed successfully', pollId: req.params.id });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Redeem invite error:', error);
+        res.status(500).json({ error: 'Failed to redeem invite' });
+    } finally {
+        client.release();
+    }
+});
+
+// Most options a poll can have (same limit as when creating a poll)
+const MAX_POLL_OPTIONS = 10;
+
+// Load a poll and check the user created it (locking the row when db is a transaction client)
+// Resolves to { poll } or { status, error }
+const getOwnedPoll = async (pollId, userId, db, lock = false) => {
+    const pollResult = await db.query(`
+      SELECT id, creator_id, poll_type, min_selections, max_selections FROM polls WHERE id = $1
+      ${lock ? 'FOR UPDATE' : ''}
+    `, [pollId]);
+
+    if (pollResult.rows.length === 0) {
+        return { status: 404, error: 'Poll not found' };
+    }
+
+    if (pollResult.rows[0].creator_id !== userId) {
+        return { status: 403, error: 'Only the poll creator can manage options and images' };
+    }
+
+    return { poll: pollResult.rows[0] };
+};
+
+// Renumber a poll's options 0..n-1 in their current order (after one is removed)
+const compactOptionOrder = async (pollId, db) => {
+    await db.query(`
+      UPDATE poll_options po
+      SET display_order = ordered.position
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY display_order, created_at) - 1 as position
+        FROM poll_options
+        WHERE poll_id = $1
+      ) ordered
+      WHERE po.id = ordered.id
+    `, [pollId]);
+};
+
+// Add an option to a poll (only by creator); new options go last
+router.post('/:id/options', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const pollId = req.params.id;
+        const { error, value } = optionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        await client.query('BEGIN');
+
+        // Lock the poll so concurrent additions get distinct positions
+        const owned = await getOwnedPoll(pollId, req.user.userId, client, true);
+        if (owned.error) {
+            await client.query('ROLLBACK');
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const countResult = await client.query(`
+      SELECT COUNT(*) as total, MAX(display_order) as last_position
+      FROM poll_options
+      WHERE poll_id = $1
+    `, [pollId]);
+
+        const { total, last_position: lastPosition } = countResult.rows[0];
+        if (parseInt(total) >= MAX_POLL_OPTIONS) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `A poll can have at most ${MAX_POLL_OPTIONS} options` });
+        }
+
+        const optionResult = await client.query(`
+      INSERT INTO poll_options (poll_id, text, description, display_order)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, text, description, display_order, vote_count
+    `, [pollId, value.text, value.description || null, lastPosition === null ? 0 : lastPosition + 1]);
+
+        await client.query('COMMIT');
+
+        await refreshPollResults(pollId);
+
+        res.status(201).json({
+            message: 'Option added successfully',
+            option: optionResult.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Add option error:', error);
+        res.status(500).json({ error: 'Failed to add option' });
+    } finally {
+        client.release();
+    }
+});
+
+// Reorder a poll's options (only by creator); optionIds must list every option once
+router.put('/:id/options/order', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const pollId = req.params.id;
+        const orderSchema = Joi.object({
+            optionIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required()
+        });
+
+        const { error, value } = orderSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        await client.query('BEGIN');
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, client, true);
+        if (owned.error) {
+            await client.query('ROLLBACK');
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const optionsResult = await client.query(`
+      SELECT id FROM poll_options WHERE poll_id = $1
+    `, [pollId]);
+
+        const pollOptionIds = new Set(optionsResult.rows.map(option => option.id));
+        if (value.optionIds.length !== pollOptionIds.size || !value.optionIds.every(id => pollOptionIds.has(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'optionIds must list every option of this poll exactly once' });
+        }
+
+        await client.query(`
+      UPDATE poll_options po
+      SET display_order = ordered.position - 1
+      FROM unnest($1::uuid[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE po.id = ordered.id AND po.poll_id = $2
+    `, [value.optionIds, pollId]);
+
+        const reorderedResult = await client.query(`
+      SELECT id, text, description, display_order
+      FROM poll_options
+      WHERE poll_id = $1
+      ORDER BY display_order
+    `, [pollId]);
+
+        await client.query('COMMIT');
+
+        await refreshPollResults(pollId);
+
+        res.json({
+            message: 'Options reordered successfully',
+            options: reorderedResult.rows
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reorder options error:', error);
+        res.status(500).json({ error: 'Failed to reorder options' });
+    } finally {
+        client.release();
+    }
+});
+
+// Rename or re-describe an option (only by creator)
+router.put('/:id/options/:optionId', authenticateToken, async (req, res) => {
+    try {
+        const { id: pollId, optionId } = req.params;
+        const updateOptionSchema = Joi.object({
+            text: Joi.string().min(1).max(100).optional(),
+            description: Joi.string().max(500).optional().allow('', null)
+        }).min(1);
+
+        const { error, value } = updateOptionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, pool);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const updates = [];
+        const values = [];
+        let paramCount = 1;
+
+        if (value.text !== undefined) {
+            updates.push(`text = $${paramCount++}`);
+            values.push(value.text);
+        }
+        if (value.description !== undefined) {
+            updates.push(`description = $${paramCount++}`);
+            values.push(value.description || null);
+        }
+
+        values.push(optionId, pollId);
+
+        const result = await pool.query(`
+      UPDATE poll_options
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount} AND poll_id = $${paramCount + 1}
+      RETURNING id, text, description, display_order, vote_count
+    `, values);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        await refreshPollResults(pollId);
+
+        res.json({
+            message: 'Option updated successfully',
+            option: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update option error:', error);
+        res.status(500).json({ error: 'Failed to update option' });
+    }
+});
+
+// Remove an option (only by creator)
+// Options without votes can always be removed. Votes on single and multiple-choice polls can be
+// moved to another option with ?moveVotesTo=<optionId>; without it the removal is refused.
+// Options with votes can't be removed from ranked or score polls, since that would rewrite ballots
+router.delete('/:id/options/:optionId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { id: pollId, optionId } = req.params;
+        const moveVotesTo = req.query.moveVotesTo || null;
+
+        await client.query('BEGIN');
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, client, true);
+        if (owned.error) {
+            await client.query('ROLLBACK');
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const { poll } = owned;
+
+        // Lock the options too, so no vote for the removed one can be cast in the meantime
+        const optionsResult = await client.query(`
+      SELECT id FROM poll_options WHERE poll_id = $1
+      FOR UPDATE
+    `, [pollId]);
+
+        const pollOptionIds = optionsResult.rows.map(option => option.id);
+        if (!pollOptionIds.includes(optionId)) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        if (pollOptionIds.length <= 2) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'A poll needs at least two options' });
+        }
+
+        const votesResult = await client.query(`
+      SELECT
+        (SELECT COUNT(*) FROM vote_records WHERE option_id = $1) +
+        (SELECT COUNT(*) FROM vote_selections WHERE option_id = $1) as votes
+    `, [optionId]);
+
+        const hasVotes = parseInt(votesResult.rows[0].votes) > 0;
+        let movedVotes = 0;
+
+        if (hasVotes) {
+            if (poll.poll_type === 'ranked' || poll.poll_type === 'score') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: `Options that have votes can't be removed from ${poll.poll_type} polls` });
+            }
+
+            if (!moveVotesTo) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    error: 'This option has votes. Pass moveVotesTo with another option to move them before removing it',
+                    hasVotes: true
+                });
+            }
+
+            if (moveVotesTo === optionId || !pollOptionIds.includes(moveVotesTo)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'moveVotesTo must be another option of this poll' });
+            }
+
+            if (poll.poll_type === 'multiple') {
+                // Ballots that already selected the target just lose the removed option
+                await client.query(`
+          DELETE FROM vote_selections vs
+          WHERE vs.option_id = $1
+            AND EXISTS (SELECT 1 FROM vote_selections other WHERE other.vote_id = vs.vote_id AND other.option_id = $2)
+        `, [optionId, moveVotesTo]);
+
+                const movedResult = await client.query(`
+          UPDATE vote_selections SET option_id = $2 WHERE option_id = $1
+        `, [optionId, moveVotesTo]);
+                movedVotes = movedResult.rowCount;
+            } else {
+                const movedResult = await client.query(`
+          UPDATE vote_records SET option_id = $2 WHERE option_id = $1
+        `, [optionId, moveVotesTo]);
+                movedVotes = movedResult.rowCount;
+            }
+
+            await updateVoteCount(moveVotesTo, client);
+        }
+
+        const imagesResult = await client.query(`
+      SELECT image_url, storage_key FROM poll_option_images WHERE option_id = $1
+    `, [optionId]);
+
+        await client.query('DELETE FROM poll_options WHERE id = $1', [optionId]);
+        await compactOptionOrder(pollId, client);
+
+        // Keep multiple-choice selection limits within the remaining options
+        if (poll.poll_type === 'multiple') {
+            await client.query(`
+        UPDATE polls
+        SET min_selections = LEAST(min_selections, $2), max_selections = LEAST(max_selections, $2)
+        WHERE id = $1
+      `, [pollId, pollOptionIds.length - 1]);
+        }
+
+        await client.query('COMMIT');
+
+        await refreshPollResults(pollId);
+        await deleteUnusedImages(imagesResult.rows.map(img => ({ url: img.image_url, storageKey: img.storage_key })));
+
+        res.json({
+            message: 'Option removed successfully',
+            movedVotes
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Remove option error:', error);
+        res.status(500).json({ error: 'Failed to remove option' });
+    } finally {
+        client.release();
+    }
+});
+
+// Most images an option can have (same limit as when creating a poll)
+const MAX_OPTION_IMAGES = 10;
+
+// Check an option belongs to a poll (locking it when db is a transaction client, so image
+// changes for one option are serialized)
+const findPollOption = async (pollId, optionId, db, lock = false) => {
+    const optionResult = await db.query(`
+      SELECT id FROM poll_options WHERE id = $1 AND poll_id = $2
+      ${lock ? 'FOR UPDATE' : ''}
+    `, [optionId, pollId]);
+
+    return optionResult.rows[0] || null;
+};
+
+// An option's images in display order, formatted like GET /:id
+const getOptionImages = async (optionId, db) => {
+    const imagesResult = await db.query(`
+      SELECT id, image_url, is_primary, display_order
+      FROM poll_option_images
+      WHERE option_id = $1
+      ORDER BY display_order, created_at
+    `, [optionId]);
+
+    return imagesResult.rows.map(img => ({
+        id: img.id,
+        url: img.image_url,
+        isPrimary: img.is_primary,
+        displayOrder: img.display_order
+    }));
+};
+
+// Add images to an option (only by creator); the first image of an option becomes its primary
+router.post('/:id/options/:optionId/images', authenticateToken, upload.array('images', MAX_OPTION_IMAGES), async (req, res) => {
+    const client = await pool.connect();
+    let uploaded = [];
+
+    try {
+        const { id: pollId, optionId } = req.params;
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No images provided' });
+        }
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, client);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        if (!(await findPollOption(pollId, optionId, client))) {
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        const countResult = await client.query(`
+      SELECT COUNT(*) as total FROM poll_option_images WHERE option_id = $1
+    `, [optionId]);
+
+        if (parseInt(countResult.rows[0].total) + files.length > MAX_OPTION_IMAGES) {
+            return res.status(400).json({ error: `An option can have at most ${MAX_OPTION_IMAGES} images` });
+        }
+
+        // Upload before touching the database; if any upload fails, undo the ones that worked
+        for (const file of files) {
+            try {
+                const stored = await uploadImage(file);
+                uploaded.push({ url: stored.url, storageKey: stored.key });
+            } catch (uploadError) {
+                console.error('Image upload error:', uploadError);
+                await deleteImages(uploaded);
+                uploaded = [];
+                return res.status(502).json({ error: `Failed to upload image "${file.originalname}"` });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        await findPollOption(pollId, optionId, client, true);
+
+        const positionResult = await client.query(`
+      SELECT MAX(display_order) as last_position, BOOL_OR(is_primary) as has_primary
+      FROM poll_option_images
+      WHERE option_id = $1
+    `, [optionId]);
+
+        const { last_position: lastPosition, has_primary: hasPrimary } = positionResult.rows[0];
+        const firstPosition = lastPosition === null ? 0 : lastPosition + 1;
+
+        for (let i = 0; i < uploaded.length; i++) {
+            await client.query(`
+        INSERT INTO poll_option_images (option_id, image_url, storage_key, is_primary, display_order)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [optionId, uploaded[i].url, uploaded[i].storageKey, !hasPrimary && i === 0, firstPosition + i]);
+        }
+
+        await client.query('COMMIT');
+        uploaded = [];
+
+        await clearPollResultsCache(pollId);
+
+        res.status(201).json({
+            message: 'Images added successfully',
+            images: await getOptionImages(optionId, pool)
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await deleteImages(uploaded);
+        console.error('Add option images error:', error);
+        res.status(500).json({ error: 'Failed to add images' });
+    } finally {
+        client.release();
+    }
+});
+
+// Reorder an option's images (only by creator); imageIds must list every image once
+router.put('/:id/options/:optionId/images/order', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const offset = (page - 1) * limit;
+        const { id: pollId, optionId } = req.params;
+        const orderSchema = Joi.object({
+            imageIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required()
+        });
 
-        // Get total count
-        const countResult = await pool.query(`
-      SELECT COUNT(*) as total
-      FROM polls
-      WHERE creator_id = $1
-    `, [req.user.userId]);
+        const { error, value } = orderSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
 
-        const total = parseInt(countResult.rows[0].total);
+        const owned = await getOwnedPoll(pollId, req.user.userId, client);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
 
-        // Get user's polls
-        const pollsResult = await pool.query(`
-      SELECT 
-        p.id, p.title, p.description, p.start_date, p.end_date, p.is_active, p.image_url, p.created_at,
-        COUNT(vr.id) as total_votes
-      FROM polls p
-      LEFT JOIN vote_records vr ON p.id = vr.poll_id
-      WHERE p.creator_id = $1
-      GROUP BY p.id
-      ORDER BY p.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [req.user.userId, limit, offset]);
+        await client.query('BEGIN');
 
-        // Get options for each poll
-        const polls = [];
-        for (const poll of pollsResult.rows) {
-            const optionsResult = await pool.query(`
-        SELECT 
-          po.id, po.text, po.description,
-          COUNT(vr.id) as actual_vote_count
-        FROM poll_options po
-        LEFT JOIN vote_records vr ON po.id = vr.option_id
-        WHERE po.poll_id = $1
-        GROUP BY po.id, po.text, po.description
-        ORDER BY po.created_at
-      `, [poll.id]);
+        if (!(await findPollOption(pollId, optionId, client, true))) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
 
-            // Get primary image for each option
-            const optionsWithImages = [];
-            for (const option of optionsResult.rows) {
-                const primaryImageResult = await pool.query(`
-          SELECT image_url FROM poll_option_images 
-          WHERE option_id = $1 AND is_primary = true 
-          ORDER BY display_order LIMIT 1
-        `, [option.id]);
-                
-                const primaryImageUrl = primaryImageResult.rows.length > 0 ? primaryImageResult.rows[0].image_url : null;
-                
-                optionsWithImages.push({
-                    ...option,
-                    imageUrl: primaryImageUrl,
-                    voteCount: parseInt(option.actual_vote_count)
-                });
-            }
+        const imagesResult = await client.query(`
+      SELECT id FROM poll_option_images WHERE option_id = $1
+    `, [optionId]);
 
-            polls.push({
-                ...poll,
-                totalVotes: parseInt(poll.total_votes),
-                options: optionsWithImages
-            });
+        const imageIds = new Set(imagesResult.rows.map(img => img.id));
+        if (value.imageIds.length !== imageIds.size || !value.imageIds.every(id => imageIds.has(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'imageIds must list every image of this option exactly once' });
         }
 
+        await client.query(`
+      UPDATE poll_option_images poi
+      SET display_order = ordered.position - 1
+      FROM unnest($1::uuid[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE poi.id = ordered.id AND poi.option_id = $2
+    `, [value.imageIds, optionId]);
+
+        await client.query('COMMIT');
+
+        await clearPollResultsCache(pollId);
+
         res.json({
-            polls,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit),
-                hasNext: page < Math.ceil(total / limit),
-                hasPrev: page > 1
-            }
+            message: 'Images reordered successfully',
+            images: await getOptionImages(optionId, pool)
         });
 
     } catch (error) {
-        console.error('Get my polls error:', error);
-        res.status(500).json({ error: 'Failed to fetch your polls' });
+        await client.query('ROLLBACK');
+        console.error('Reorder option images error:', error);
+        res.status(500).json({ error: 'Failed to reorder images' });
+    } finally {
+        client.release();
+    }
+});
+
+// Make an image the option's primary image (only by creator)
+router.put('/:id/options/:optionId/images/:imageId/primary', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { id: pollId, optionId, imageId } = req.params;
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, client);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        await client.query('BEGIN');
+
+        if (!(await findPollOption(pollId, optionId, client, true))) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        const imageResult = await client.query(`
+      UPDATE poll_option_images
+      SET is_primary = (id = $1)
+      WHERE option_id = $2 AND EXISTS (SELECT 1 FROM poll_option_images WHERE id = $1 AND option_id = $2)
+      RETURNING id
+    `, [imageId, optionId]);
+
+        if (imageResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        await client.query('COMMIT');
+
+        await clearPollResultsCache(pollId);
+
+        res.json({
+            message: 'Primary image updated successfully',
+            images: await getOptionImages(optionId, pool)
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Set primary image error:', error);
+        res.status(500).json({ error: 'Failed to update primary image' });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete an option image (only by creator); if it was the primary, the next image takes over
+router.delete('/:id/options/:optionId/images/:imageId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const { id: pollId, optionId, imageId } = req.params;
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, client);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        await client.query('BEGIN');
+
+        if (!(await findPollOption(pollId, optionId, client, true))) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        const deletedResult = await client.query(`
+      DELETE FROM poll_option_images
+      WHERE id = $1 AND option_id = $2
+      RETURNING image_url, storage_key, is_primary
+    `, [imageId, optionId]);
+
+        if (deletedResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const deleted = deletedResult.rows[0];
+
+        // Close the gap in the order, and promote the first remaining image if needed
+        await client.query(`
+      UPDATE poll_option_images poi
+      SET display_order = ordered.position,
+          is_primary = CASE WHEN $2 THEN ordered.position = 0 ELSE poi.is_primary END
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY display_order, created_at) - 1 as position
+        FROM poll_option_images
+        WHERE option_id = $1
+      ) ordered
+      WHERE poi.id = ordered.id
+    `, [optionId, deleted.is_primary]);
+
+        await client.query('COMMIT');
+
+        await clearPollResultsCache(pollId);
+        await deleteUnusedImages([{ url: deleted.image_url, storageKey: deleted.storage_key }]);
+
+        res.json({
+            message: 'Image deleted successfully',
+            images: await getOptionImages(optionId, pool)
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete option image error:', error);
+        res.status(500).json({ error: 'Failed to delete image' });
+    } finally {
+        client.release();
+    }
+});
+
+// Replace the poll's cover image (only by creator)
+router.put('/:id/cover', authenticateToken, upload.single('coverImage'), async (req, res) => {
+    // The new image until the poll refers to it; removed from storage if anything fails before then
+    let uploaded = [];
+
+    try {
+        const pollId = req.params.id;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No cover image provided' });
+        }
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, pool);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        let stored;
+        try {
+            stored = await uploadImage(req.file, 'voting-app/covers');
+            uploaded = [{ url: stored.url, storageKey: stored.key }];
+        } catch (uploadError) {
+            console.error('Cover image upload error:', uploadError);
+            return res.status(502).json({ error: 'Failed to upload cover image' });
+        }
+
+        // Swap in the new cover, keeping the old one's location to remove it from storage
+        const result = await pool.query(`
+      UPDATE polls p
+      SET image_url = $1, image_storage_key = $2, updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, image_url, image_storage_key FROM polls WHERE id = $3 FOR UPDATE) previous
+      WHERE p.id = previous.id
+      RETURNING p.image_url, previous.image_url as previous_url, previous.image_storage_key as previous_storage_key
+    `, [stored.url, stored.key, pollId]);
+
+        // The poll was deleted since it was checked above
+        if (result.rows.length === 0) {
+            await deleteImages(uploaded);
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+        uploaded = [];
+
+        const { image_url: imageUrl, previous_url: previousUrl, previous_storage_key: previousStorageKey } = result.rows[0];
+
+        await clearPollResultsCache(pollId);
+        if (previousUrl) {
+            await deleteUnusedImages([{ url: previousUrl, storageKey: previousStorageKey }]);
+        }
+
+        res.json({
+            message: 'Cover image updated successfully',
+            imageUrl
+        });
+
+    } catch (error) {
+        await deleteImages(uploaded);
+        console.error('Update cover image error:', error);
+        res.status(500).json({ error: 'Failed to update cover image' });
+    }
+});
+
+// Remove the poll's cover image (only by creator)
+router.delete('/:id/cover', authenticateToken, async (req, res) => {
+    try {
+        const pollId = req.params.id;
+
+        const owned = await getOwnedPoll(pollId, req.user.userId, pool);
+        if (owned.error) {
+            return res.status(owned.status).json({ error: owned.error });
+        }
+
+        const result = await pool.query(`
+      UPDATE polls p
+      SET image_url = NULL, image_storage_key = NULL, updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, image_url, image_storage_key FROM polls WHERE id = $1 FOR UPDATE) previous
+      WHERE p.id = previous.id
+      RETURNING previous.image_url as previous_url, previous.image_storage_key as previous_storage_key
+    `, [pollId]);
+
+        const { previous_url: previousUrl, previous_storage_key: previousStorageKey } = result.rows[0];
+
+        if (!previousUrl) {
+            return res.status(404).json({ error: 'This poll has no cover image' });
+        }
+
+        await clearPollResultsCache(pollId);
+        await deleteUnusedImages([{ url: previousUrl, storageKey: previousStorageKey }]);
+
+        res.json({ message: 'Cover image removed successfully' });
+
+    } catch (error) {
+        console.error('Remove cover image error:', error);
+        res.status(500).json({ error: 'Failed to remove cover image' });
     }
 });
 
@@ -581,8 +2408,18 @@ router.put('/:id', authenticateToken, async (req, res) => {
         const updateSchema = Joi.object({
             title: Joi.string().min(3).max(200).optional(),
             description: Joi.string().max(1000).optional().allow(''),
+            startDate: Joi.date().greater('now').optional(),
             endDate: Joi.date().greater('now').optional().allow(null),
-            isActive: Joi.boolean().optional()
+            isActive: Joi.boolean().optional(),
+            voteChangeWindowMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).optional(),
+            allowGuestVotes: Joi.boolean().optional(),
+            requireVerifiedEmail: Joi.boolean().optional(),
+            anonymousVotes: Joi.boolean().optional(),
+            visibility: Joi.string().valid(...POLL_VISIBILITIES).optional(),
+            resultsVisibility: Joi.string().valid(...RESULTS_VISIBILITIES).optional(),
+            category: Joi.string().valid(...POLL_CATEGORIES).optional().allow(null),
+            // Replaces the poll's tags
+            tags: Joi.array().items(pollTagSchema).max(MAX_POLL_TAGS).unique().optional()
         });
 
         const { error, value } = updateSchema.validate(req.body);
@@ -592,46 +2429,111 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
         // Check if poll exists and user is the creator
         const pollResult = await pool.query(`
-      SELECT id, creator_id FROM polls WHERE id = $1
+      SELECT id, creator_id, start_date, end_date, opened_at, anonymous_votes,
+        EXISTS (SELECT 1 FROM vote_records WHERE poll_id = polls.id) as has_votes
+      FROM polls WHERE id = $1
     `, [pollId]);
 
         if (pollResult.rows.length === 0) {
             return res.status(404).json({ error: 'Poll not found' });
         }
 
-        if (pollResult.rows[0].creator_id !== req.user.userId) {
+        const poll = pollResult.rows[0];
+
+        if (poll.creator_id !== req.user.userId) {
             return res.status(403).json({ error: 'Only the poll creator can update this poll' });
         }
 
+        // The start can only be moved while the poll is still waiting to open
+        if (value.startDate && poll.opened_at) {
+            return res.status(400).json({ error: 'This poll has already started' });
+        }
+
+        // Votes cast on an anonymous poll were cast anonymously, so it stays that way
+        if (value.anonymousVotes === false && poll.anonymous_votes && poll.has_votes) {
+            return res.status(400).json({ error: 'An anonymous poll that has votes cannot be made non-anonymous' });
+        }
+
+        const startDate = value.startDate || poll.start_date;
+        const endDate = value.endDate !== undefined ? value.endDate : poll.end_date;
+        if (endDate && new Date(endDate) <= new Date(startDate)) {
+            return res.status(400).json({ error: 'endDate must be after startDate' });
+        }
+
         // Build update query
         const updates = [];
         const values = [];
         let paramCount = 1;
 
-        Object.keys(value).forEach(key => {
-            if (value[key] !== undefined) {
-                const dbKey = key === 'endDate' ? 'end_date' :
-                    key === 'isActive' ? 'is_active' : key;
-                updates.push(`${dbKey} = ${paramCount++}`);
-                values.push(value[key]);
+        const columns = {
+            title: 'title',
+            description: 'description',
+            startDate: 'start_date',
+            endDate: 'end_date',
+            isActive: 'is_active',
+            voteChangeWindowMinutes: 'vote_change_window_minutes',
+            allowGuestVotes: 'allow_guest_votes',
+            requireVerifiedEmail: 'require_verified_email',
+            anonymousVotes: 'anonymous_votes',
+            visibility: 'visibility',
+            resultsVisibility: 'results_visibility',
+            category: 'category'
+        };
+
+        // Tags live in poll_tags rather than a column
+        const { tags, ...fields } = value;
+
+        Object.keys(fields).forEach(key => {
+            if (fields[key] !== undefined) {
+                updates.push(`${columns[key]} = $${paramCount++}`);
+                values.push(fields[key]);
             }
         });
 
-        if (updates.length === 0) {
+        if (updates.length === 0 && tags === undefined) {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
 
+        // Reopening a poll the scheduler closed
+        if (value.isActive === true) {
+            updates.push('closed_at = NULL');
+        }
+
+        // Switching off a poll that is waiting to open keeps the scheduler from opening it (see deactivatePoll)
+        if (value.isActive === false) {
+            updates.push('opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)');
+        }
+
         updates.push('updated_at = CURRENT_TIMESTAMP');
         values.push(pollId);
 
         const query = `
-      UPDATE polls 
+      UPDATE polls p
       SET ${updates.join(', ')} 
-      WHERE id = ${paramCount}
-      RETURNING id, title, description, start_date, end_date, is_active, updated_at
+      WHERE id = $${paramCount}
+      RETURNING id, title, description, start_date, end_date, is_active, closed_at, vote_change_window_minutes, allow_guest_votes, require_verified_email, anonymous_votes, visibility, results_visibility,
+        category, ${pollTagsSql} as tags, updated_at
     `;
 
-        const result = await pool.query(query, values);
+        // Tags are replaced first so the returned poll includes them
+        const client = await pool.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
+            if (tags !== undefined) {
+                await setPollTags(pollId, tags, client);
+            }
+            result = await client.query(query, values);
+            await client.query('COMMIT');
+        } catch (updateError) {
+            await client.query('ROLLBACK');
+            throw updateError;
+        } finally {
+            client.release();
+        }
+
+        // Live results streams re-check whether their viewers may see the counts (e.g. when the poll closes)
+        await refreshPollResults(pollId);
 
         res.json({
             message: 'Poll updated successfully',
@@ -662,8 +2564,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Only the poll creator can delete this poll' });
         }
 
-        // Delete poll (cascading will handle related records)
-        await pool.query('DELETE FROM polls WHERE id = $1', [pollId]);
+        // Delete poll (cascading will handle related records) and its images
+        await deletePoll(pollId);
 
         res.json({ message: 'Poll deleted successfully' });
 
@@ -673,4 +2575,95 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// Reports a user can file per hour (across all content)
+const REPORTS_PER_USER = 20;
+
+const reportSchema = Joi.object({
+    reason: Joi.string().valid(...REPORT_REASONS).required(),
+    details: Joi.string().max(1000).optional().allow('')
+});
+
+// Report a poll, one of its options or an option image to the moderators
+// (the target comes from the route: /:id/report, /:id/options/:optionId/report, /:id/options/:optionId/images/:imageId/report)
+const reportContent = async (req, res) => {
+    try {
+        const { id: pollId, optionId = null, imageId = null } = req.params;
+        const targetType = imageId ? 'image' : optionId ? 'option' : 'poll';
+
+        const { error, value } = reportSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const pollResult = await pool.query(`
+      SELECT id, creator_id, visibility, hidden_at FROM polls WHERE id = $1
+    `, [pollId]);
+
+        if (pollResult.rows.length === 0 || !canViewPoll(pollResult.rows[0], req)) {
+            return res.status(404).json({ error: 'Poll not found' });
+        }
+
+        if (!(await canAccessPoll(pollResult.rows[0], req))) {
+            return res.status(403).json({ error: 'This poll is private', accessRequired: true });
+        }
+
+        if (optionId && !(await findPollOption(pollId, optionId, pool))) {
+            return res.status(404).json({ error: 'Poll option not found' });
+        }
+
+        if (imageId) {
+            const imageResult = await pool.query(
+                'SELECT id FROM poll_option_images WHERE id = $1 AND option_id = $2',
+                [imageId, optionId]
+            );
+            if (imageResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Image not found' });
+            }
+        }
+
+        // One open report per user and piece of content
+        const existingResult = await pool.query(`
+      SELECT id FROM content_reports
+      WHERE reporter_id = $1 AND target_type = $2 AND poll_id = $3
+        AND option_id IS NOT DISTINCT FROM $4 AND image_id IS NOT DISTINCT FROM $5
+        AND status = 'open'
+    `, [req.user.userId, targetType, pollId, optionId, imageId]);
+
+        if (existingResult.rows.length > 0) {
+            return res.status(409).json({ error: 'You have already reported this' });
+        }
+
+        const hits = await incrementRateLimit(`reports:user:${req.user.userId}`, 60 * 60);
+        if (hits > REPORTS_PER_USER) {
+            return res.status(429).json({ error: 'Too many reports, please try again later' });
+        }
+
+        const result = await pool.query(`
+      INSERT INTO content_reports (target_type, poll_id, option_id, image_id, reporter_id, reason, details)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, target_type, status, created_at
+    `, [targetType, pollId, optionId, imageId, req.user.userId, value.reason, value.details || null]);
+
+        const report = result.rows[0];
+
+        res.status(201).json({
+            message: 'Report submitted',
+            report: {
+                id: report.id,
+                targetType: report.target_type,
+                status: report.status,
+                createdAt: report.created_at
+            }
+        });
+
+    } catch (error) {
+        console.error('Report content error:', error);
+        res.status(500).json({ error: 'Failed to submit report' });
+    }
+};
+
+router.post('/:id/report', authenticateToken, reportContent);
+router.post('/:id/options/:optionId/report', authenticateToken, reportContent);
+router.post('/:id/options/:optionId/images/:imageId/report', authenticateToken, reportContent);
+
 module.exports = router;
\ No newline at end of file
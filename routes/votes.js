@@ -1,19 +1,326 @@
 const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const { pool, updateVoteCount } = require('../config/database');
-const { hasVotedToday, markAsVoted, cachePollResults, getClient } = require('../config/redis');
-const { authenticateToken } = require('../middleware/auth');
+const {
+    pool, optionVoteCountSql, updateVoteCount, forEachRowBatch
+} = require('../config/database');
+const {
+    getVoteBlock, setVoteBlock, clearVoteBlock, incrementRateLimit
+} = require('../config/redis');
+const { authenticateToken, authenticateVoter } = require('../middleware/auth');
+const { getScoreResults, refreshPollResults } = require('../services/pollResults');
+const { instantRunoff } = require('../services/tally');
+const { getVoteEligibility, voterKey } = require('../services/votePolicy');
+const { canAccessPoll, redeemPollInvite } = require('../services/pollAccess');
+const { isEmailVerified } = require('../services/accountEmails');
+const { visibleOptionTextSql } = require('../services/moderation');
+const { EXPORT_FORMATS, startExport } = require('../services/export');
+const { getVoteExportColumns, toVoteExportRecord } = require('../services/voteExport');
 
 const router = express.Router();
 
-// Validation schema
-const voteSchema = Joi.object({
-    pollId: Joi.string().uuid().required(),
-    optionId: Joi.string().uuid().required()
+// Guest voting limits (per hour)
+const GUEST_TOKENS_PER_IP = parseInt(process.env.GUEST_TOKENS_PER_IP_PER_HOUR) || 10;
+const GUEST_VOTES_PER_IP = parseInt(process.env.GUEST_VOTES_PER_IP_PER_HOUR) || 30;
+const GUEST_VOTES_PER_TOKEN = parseInt(process.env.GUEST_VOTES_PER_TOKEN_PER_HOUR) || 10;
+
+// Validation schemas
+// Single-choice polls take optionId, ranked polls take rankings (most preferred first),
+// multiple-choice polls take selections and score polls take a score for every option
+const ballotSchema = Joi.object({
+    optionId: Joi.string().uuid(),
+    rankings: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+    selections: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+    scores: Joi.array().items(Joi.object({
+        optionId: Joi.string().uuid().required(),
+        score: Joi.number().integer().required()
+    })).min(1).unique('optionId')
+}).xor('optionId', 'rankings', 'selections', 'scores');
+
+const voteSchema = ballotSchema.keys({
+    pollId: Joi.string().uuid().required()
+});
+
+// Ballot field expected for each poll type
+const ballotFields = {
+    single: 'optionId',
+    ranked: 'rankings',
+    multiple: 'selections',
+    score: 'scores'
+};
+
+// Primary image of an option, unless a moderator hid it (expects poll_options as po)
+const primaryImageSql = `
+  (SELECT image_url FROM poll_option_images
+   WHERE option_id = po.id AND is_primary = true AND hidden_at IS NULL
+   ORDER BY display_order LIMIT 1)
+`;
+
+// Get the options chosen on ranked and multiple-choice ballots, keyed by vote id
+const getVoteSelections = async (voteIds) => {
+    const selections = new Map();
+    if (voteIds.length === 0) {
+        return selections;
+    }
+
+    const result = await pool.query(`
+    SELECT vs.vote_id, vs.rank, vs.score, po.id, ${visibleOptionTextSql} as text
+    FROM vote_selections vs
+    JOIN poll_options po ON vs.option_id = po.id
+    WHERE vs.vote_id = ANY($1::uuid[])
+    ORDER BY vs.rank NULLS LAST, po.display_order, po.created_at
+  `, [voteIds]);
+
+    for (const row of result.rows) {
+        if (!selections.has(row.vote_id)) {
+            selections.set(row.vote_id, []);
+        }
+        selections.get(row.vote_id).push({
+            id: row.id,
+            text: row.text,
+            ...(row.rank !== null && { rank: row.rank }),
+            ...(row.score !== null && { score: row.score })
+        });
+    }
+
+    return selections;
+};
+
+// Per-option statistics for poll creators (poll needs poll_type, score_min and score_max)
+// Resolves to { optionStats, totalSelections }, most voted first (best average score for score polls)
+const getOptionStats = async (pollId, poll, totalVotes) => {
+    const optionStatsResult = await pool.query(`
+    SELECT
+      po.id, po.text, ${primaryImageSql} as image_url,
+      ${optionVoteCountSql} as vote_count
+    FROM poll_options po
+    JOIN polls p ON po.poll_id = p.id
+    WHERE po.poll_id = $1
+    ORDER BY vote_count DESC
+  `, [pollId]);
+
+    // Split option counts into account and guest votes
+    const voterTypeResult = await pool.query(`
+    SELECT
+      COALESCE(vs.option_id, vr.option_id) as option_id,
+      COUNT(*) FILTER (WHERE vr.guest_id IS NULL) as account_votes,
+      COUNT(*) FILTER (WHERE vr.guest_id IS NOT NULL) as guest_votes
+    FROM vote_records vr
+    JOIN polls p ON vr.poll_id = p.id
+    LEFT JOIN vote_selections vs ON vs.vote_id = vr.id AND p.poll_type IN ('multiple', 'score')
+    WHERE vr.poll_id = $1
+    GROUP BY COALESCE(vs.option_id, vr.option_id)
+  `, [pollId]);
+
+    const voterTypeCounts = new Map(voterTypeResult.rows.map(row => [row.option_id, row]));
+    const isMultiple = poll.poll_type === 'multiple';
+    const totalSelections = optionStatsResult.rows.reduce((sum, stat) => sum + parseInt(stat.vote_count), 0);
+
+    // Percentage with two decimals
+    const percentageOf = (count, total) => total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+
+    let optionStats = optionStatsResult.rows.map(stat => ({
+        id: stat.id,
+        text: stat.text,
+        imageUrl: stat.image_url,
+        voteCount: parseInt(stat.vote_count),
+        accountVotes: parseInt(voterTypeCounts.get(stat.id)?.account_votes || 0),
+        guestVotes: parseInt(voterTypeCounts.get(stat.id)?.guest_votes || 0),
+        percentage: percentageOf(parseInt(stat.vote_count), totalVotes),
+        ...(isMultiple && { selectionPercentage: percentageOf(parseInt(stat.vote_count), totalSelections) })
+    }));
+
+    // Score polls report score statistics and are ranked by their average score
+    if (poll.poll_type === 'score') {
+        const scoreResults = await getScoreResults(pollId, poll.score_min, poll.score_max);
+        optionStats = optionStats
+            .map(({ percentage, ...stat }) => ({ ...stat, ...scoreResults(stat.id) }))
+            .sort((a, b) => (b.averageScore ?? -1) - (a.averageScore ?? -1));
+    }
+
+    return { optionStats, totalSelections };
+};
+
+// Check a ballot against the poll's type and options
+// Resolves to { error } or { optionId, optionIds, ballot }: optionId is stored on vote_records
+// (null for multiple-choice and score ballots), optionIds are every option the ballot covers
+const parseBallot = async (poll, value, db) => {
+    // Make sure the ballot shape matches the poll type
+    const pollType = poll.poll_type || 'single';
+    const ballotField = ballotFields[pollType];
+    if (value[ballotField] === undefined) {
+        return { error: `Votes for ${pollType} polls must include "${ballotField}"` };
+    }
+
+    const { rankings, selections, scores } = value;
+
+    if (pollType === 'multiple' && (selections.length < poll.min_selections || selections.length > poll.max_selections)) {
+        return { error: `Please select between ${poll.min_selections} and ${poll.max_selections} options` };
+    }
+
+    if (pollType === 'score' && scores.some(entry => entry.score < poll.score_min || entry.score > poll.score_max)) {
+        return { error: `Scores must be between ${poll.score_min} and ${poll.score_max}` };
+    }
+
+    // Ranked ballots store their first preference as the vote's option;
+    // multiple-choice and score ballots keep every option in vote_selections instead
+    const optionId = pollType === 'ranked' ? rankings[0]
+        : pollType === 'single' ? value.optionId
+            : null;
+    const optionIds = pollType === 'ranked' ? rankings
+        : pollType === 'multiple' ? selections
+            : pollType === 'score' ? scores.map(entry => entry.optionId)
+                : [optionId];
+
+    // Check if options belong to this poll
+    const optionResult = await db.query(`
+    SELECT id FROM poll_options 
+    WHERE poll_id = $1
+  `, [poll.id]);
+
+    const pollOptionIds = new Set(optionResult.rows.map(option => option.id));
+    if (!optionIds.every(id => pollOptionIds.has(id))) {
+        return { error: 'Invalid poll option' };
+    }
+
+    // Score ballots must rate every option
+    if (pollType === 'score' && optionIds.length !== pollOptionIds.size) {
+        return { error: 'Please give a score to every option' };
+    }
+
+    return { optionId, optionIds, ballot: { [ballotField]: value[ballotField] } };
+};
+
+// Store the per-option rows of ranked, multiple-choice and score ballots
+const saveBallotSelections = async (voteId, poll, parsed, db) => {
+    if (!poll.poll_type || poll.poll_type === 'single') {
+        return;
+    }
+
+    const { scores } = parsed.ballot;
+    for (let i = 0; i < parsed.optionIds.length; i++) {
+        await db.query(`
+      INSERT INTO vote_selections (vote_id, option_id, rank, score)
+      VALUES ($1, $2, $3, $4)
+    `, [voteId, parsed.optionIds[i], poll.poll_type === 'ranked' ? i + 1 : null, scores ? scores[i].score : null]);
+    }
+};
+
+// Rebuild a stored vote's ballot in the same shape it was submitted
+const getStoredBallot = async (vote, pollType, db) => {
+    if (!pollType || pollType === 'single') {
+        return { optionId: vote.option_id };
+    }
+
+    const result = await db.query(`
+    SELECT option_id, rank, score
+    FROM vote_selections
+    WHERE vote_id = $1
+    ORDER BY rank NULLS LAST, created_at
+  `, [vote.id]);
+
+    if (pollType === 'score') {
+        return { scores: result.rows.map(row => ({ optionId: row.option_id, score: row.score })) };
+    }
+    return { [ballotFields[pollType]]: result.rows.map(row => row.option_id) };
+};
+
+// Options a stored or parsed ballot counts towards
+const ballotOptionIds = (ballot) => {
+    if (ballot.optionId) return [ballot.optionId];
+    if (ballot.scores) return ballot.scores.map(entry => entry.optionId);
+    return ballot.rankings || ballot.selections || [];
+};
+
+// Record a vote being cast, changed or retracted
+const recordVoteHistory = async (db, { voteId, pollId, userId, action, previousBallot = null, ballot = null }) => {
+    await db.query(`
+    INSERT INTO vote_history (vote_id, poll_id, user_id, action, previous_ballot, ballot)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [voteId, pollId, userId, action, previousBallot, ballot]);
+};
+
+// Load a vote with its poll and check the user may still change it
+// Resolves to { vote, poll } or { status, error }
+const getChangeableVote = async (voteId, userId, db) => {
+    const result = await db.query(`
+    SELECT
+      vr.id, vr.user_id, vr.poll_id, vr.option_id, vr.voted_at,
+      p.poll_type, p.is_active, p.end_date, p.min_selections, p.max_selections, p.score_min, p.score_max,
+      p.vote_frequency, p.votes_per_day, p.vote_cooldown_minutes, p.vote_change_window_minutes, p.hidden_at,
+      vr.voted_at + make_interval(mins => COALESCE(p.vote_change_window_minutes, 0)) as change_deadline,
+      CURRENT_TIMESTAMP as now
+    FROM vote_records vr
+    JOIN polls p ON vr.poll_id = p.id
+    WHERE vr.id = $1
+    FOR UPDATE OF vr
+  `, [voteId]);
+
+    if (result.rows.length === 0) {
+        return { status: 404, error: 'Vote not found' };
+    }
+
+    const row = result.rows[0];
+
+    if (row.user_id !== userId) {
+        return { status: 403, error: 'You can only change your own votes' };
+    }
+
+    if (!row.vote_change_window_minutes) {
+        return { status: 400, error: 'This poll does not allow changing votes' };
+    }
+
+    if (!row.is_active || (row.end_date && new Date(row.end_date) < new Date())) {
+        return { status: 400, error: 'This poll is closed' };
+    }
+
+    if (row.hidden_at) {
+        return { status: 403, error: 'This poll has been hidden by a moderator' };
+    }
+
+    if (new Date(row.change_deadline) < new Date(row.now)) {
+        return { status: 400, error: 'The grace period for changing this vote has passed' };
+    }
+
+    return {
+        vote: row,
+        poll: { ...row, id: row.poll_id }
+    };
+};
+
+// Issue a guest voter token (for polls that allow voting without an account)
+router.post('/guest-token', async (req, res) => {
+    try {
+        const ipHits = await incrementRateLimit(`guest_token:ip:${req.ip}`, 60 * 60);
+        if (ipHits > GUEST_TOKENS_PER_IP) {
+            return res.status(429).json({ error: 'Too many guest tokens requested, please try again later' });
+        }
+
+        const guestId = crypto.randomUUID();
+        const token = jwt.sign(
+            {
+                type: 'guest',
+                guestId
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: '30d' }
+        );
+
+        res.status(201).json({
+            message: 'Guest token issued successfully',
+            token,
+            guestId
+        });
+
+    } catch (error) {
+        console.error('Guest token error:', error);
+        res.status(500).json({ error: 'Failed to issue guest token' });
+    }
 });
 
 // Cast a vote
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateVoter, async (req, res) => {
     const client = await pool.connect();
 
     try {
@@ -26,12 +333,13 @@ router.post('/', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { pollId, optionId } = value;
-        const userId = req.user.userId;
+        const { pollId } = value;
+        const voter = req.guest ? { guestId: req.guest.guestId } : { userId: req.user.userId };
 
         // Check if poll exists and is active
         const pollResult = await client.query(`
-      SELECT id, title, is_active, end_date
+      SELECT id, title, is_active, start_date, end_date, poll_type, min_selections, max_selections, score_min, score_max,
+        vote_frequency, votes_per_day, vote_cooldown_minutes, allow_guest_votes, require_verified_email, visibility, creator_id, hidden_at
       FROM polls 
       WHERE id = $1
     `, [pollId]);
@@ -43,6 +351,24 @@ router.post('/', authenticateToken, async (req, res) => {
 
         const poll = pollResult.rows[0];
 
+        // Private polls need an invite (X-Poll-Invite / X-Poll-Access-Code), which voting redeems
+        // (rolled back with the vote if it is refused)
+        if (!(await redeemPollInvite(poll, voter, req, client))) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'This poll is private', accessRequired: true });
+        }
+
+        if (poll.hidden_at) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'This poll has been hidden by a moderator' });
+        }
+
+        // Scheduled polls are inactive until the scheduler opens them
+        if (poll.start_date && new Date(poll.start_date) > new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This poll has not started yet' });
+        }
+
         if (!poll.is_active) {
             await client.query('ROLLBACK');
             return res.status(400).json({ error: 'This poll is no longer active' });
@@ -54,71 +380,108 @@ router.post('/', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'This poll has ended' });
         }
 
-        // Check if option belongs to this poll
-        const optionResult = await client.query(`
-      SELECT id FROM poll_options 
-      WHERE id = $1 AND poll_id = $2
-    `, [optionId, pollId]);
+        if (voter.guestId && !poll.allow_guest_votes) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Please sign in to vote in this poll' });
+        }
 
-        if (optionResult.rows.length === 0) {
+        // Polls can require a verified email address (guests have none)
+        if (poll.require_verified_email && (voter.guestId || !(await isEmailVerified(voter.userId, client)))) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Invalid poll option' });
+            return res.status(403).json({
+                error: 'Please verify your email address to vote in this poll',
+                emailVerificationRequired: true
+            });
         }
 
-        // Check if user has already voted today using Redis
-        const votedToday = await hasVotedToday(userId, pollId);
-        if (votedToday) {
+        const parsed = await parseBallot(poll, value, client);
+        if (parsed.error) {
             await client.query('ROLLBACK');
-            return res.status(429).json({ error: 'You can only vote once per day for this poll' });
+            return res.status(400).json({ error: parsed.error });
         }
 
-        // Double-check with database (in case Redis is down)
-        const existingVoteResult = await client.query(`
-      SELECT id FROM vote_records 
-      WHERE user_id = $1 AND poll_id = $2 AND DATE(voted_at) = CURRENT_DATE
-    `, [userId, pollId]);
+        // Check the poll's vote frequency policy using Redis first
+        const voteBlock = await getVoteBlock(voterKey(voter), pollId);
+        if (voteBlock) {
+            await client.query('ROLLBACK');
+            return res.status(429).json({
+                error: 'You cannot vote in this poll again yet',
+                nextEligibleAt: voteBlock.nextEligibleAt
+            });
+        }
+
+        // Serialize votes by the same user on this poll, then double-check with the database
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`vote:${voterKey(voter)}:${pollId}`]);
 
-        if (existingVoteResult.rows.length > 0) {
+        const eligibility = await getVoteEligibility(poll, voter, client);
+        if (!eligibility.canVote) {
             await client.query('ROLLBACK');
-            return res.status(429).json({ error: 'You have already voted for this poll today' });
+            await setVoteBlock(voterKey(voter), pollId, eligibility.nextEligibleAt);
+            return res.status(429).json({
+                error: eligibility.reason,
+                nextEligibleAt: eligibility.nextEligibleAt
+            });
+        }
+
+        // Limit how fast a single guest token or IP address can vote
+        // (only votes that passed every other check count, so refused attempts don't use up the limit)
+        if (voter.guestId) {
+            const tokenHits = await incrementRateLimit(`guest_vote:token:${voter.guestId}`, 60 * 60);
+            const ipHits = await incrementRateLimit(`guest_vote:ip:${req.ip}`, 60 * 60);
+            if (tokenHits > GUEST_VOTES_PER_TOKEN || ipHits > GUEST_VOTES_PER_IP) {
+                await client.query('ROLLBACK');
+                return res.status(429).json({ error: 'Too many guest votes, please try again later' });
+            }
         }
 
         // Record the vote
         const voteResult = await client.query(`
-      INSERT INTO vote_records (user_id, poll_id, option_id)
-      VALUES ($1, $2, $3)
+      INSERT INTO vote_records (user_id, guest_id, voter_ip, poll_id, option_id)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING id, voted_at
-    `, [userId, pollId, optionId]);
+    `, [voter.userId || null, voter.guestId || null, voter.guestId ? req.ip : null, pollId, parsed.optionId]);
 
         const vote = voteResult.rows[0];
 
-        // Update vote count in poll_options table
-        await updateVoteCount(optionId);
+        // Store every chosen option for ranked, multiple-choice and score ballots
+        await saveBallotSelections(vote.id, poll, parsed, client);
+
+        // Update vote counts in poll_options table
+        for (const selectedOptionId of parsed.optionIds) {
+            await updateVoteCount(selectedOptionId, client);
+        }
+
+        await recordVoteHistory(client, {
+            voteId: vote.id,
+            pollId,
+            userId: voter.userId || null,
+            action: 'cast',
+            ballot: parsed.ballot
+        });
 
-        // Mark user as voted in Redis
-        await markAsVoted(userId, pollId);
+        // Work out when the user may vote again under the poll's policy
+        const nextEligibility = await getVoteEligibility(poll, voter, client);
 
         await client.query('COMMIT');
 
-        // Clear cached poll results
-        try {
-            const redisClient = getClient();
-            if (redisClient && redisClient.isReady) {
-                const key = `poll_results:${pollId}`;
-                await redisClient.del(key);
-            }
-        } catch (error) {
-            console.error('Failed to clear cache:', error);
+        // Mark voter as blocked in Redis until they are eligible again
+        if (!nextEligibility.canVote) {
+            await setVoteBlock(voterKey(voter), pollId, nextEligibility.nextEligibleAt);
         }
 
+        await refreshPollResults(pollId);
+
         res.status(201).json({
             message: 'Vote recorded successfully',
             vote: {
                 id: vote.id,
                 pollId,
-                optionId,
+                optionId: parsed.optionId,
+                ...parsed.ballot,
+                isGuest: Boolean(voter.guestId),
                 votedAt: vote.voted_at
-            }
+            },
+            nextEligibleAt: nextEligibility.nextEligibleAt
         });
 
     } catch (error) {
@@ -126,7 +489,7 @@ router.post('/', authenticateToken, async (req, res) => {
         console.error('Vote error:', error);
 
         if (error.code === '23505') { // Unique constraint violation
-            res.status(429).json({ error: 'You have already voted for this poll today' });
+            res.status(429).json({ error: 'You have already voted for this poll' });
         } else {
             res.status(500).json({ error: 'Failed to record vote' });
         }
@@ -135,6 +498,147 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 });
 
+// Change a vote (within the poll's grace window)
+router.put('/:voteId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Validate input
+        const { error, value } = ballotSchema.validate(req.body);
+        if (error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const userId = req.user.userId;
+        const changeable = await getChangeableVote(req.params.voteId, userId, client);
+        if (changeable.error) {
+            await client.query('ROLLBACK');
+            return res.status(changeable.status).json({ error: changeable.error });
+        }
+
+        const { vote, poll } = changeable;
+
+        const parsed = await parseBallot(poll, value, client);
+        if (parsed.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const previousBallot = await getStoredBallot(vote, poll.poll_type, client);
+
+        // Replace the stored ballot
+        await client.query('DELETE FROM vote_selections WHERE vote_id = $1', [vote.id]);
+        const updateResult = await client.query(`
+      UPDATE vote_records
+      SET option_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING voted_at, updated_at
+    `, [parsed.optionId, vote.id]);
+
+        await saveBallotSelections(vote.id, poll, parsed, client);
+
+        // Recount every option the old or new ballot touches
+        const affectedOptionIds = new Set([...ballotOptionIds(previousBallot), ...parsed.optionIds]);
+        for (const optionId of affectedOptionIds) {
+            await updateVoteCount(optionId, client);
+        }
+
+        await recordVoteHistory(client, {
+            voteId: vote.id,
+            pollId: vote.poll_id,
+            userId,
+            action: 'change',
+            previousBallot,
+            ballot: parsed.ballot
+        });
+
+        await client.query('COMMIT');
+
+        await refreshPollResults(vote.poll_id);
+
+        res.json({
+            message: 'Vote updated successfully',
+            vote: {
+                id: vote.id,
+                pollId: vote.poll_id,
+                optionId: parsed.optionId,
+                ...parsed.ballot,
+                votedAt: updateResult.rows[0].voted_at,
+                updatedAt: updateResult.rows[0].updated_at
+            }
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update vote error:', error);
+        res.status(500).json({ error: 'Failed to update vote' });
+    } finally {
+        client.release();
+    }
+});
+
+// Retract a vote (within the poll's grace window)
+router.delete('/:voteId', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const userId = req.user.userId;
+        const changeable = await getChangeableVote(req.params.voteId, userId, client);
+        if (changeable.error) {
+            await client.query('ROLLBACK');
+            return res.status(changeable.status).json({ error: changeable.error });
+        }
+
+        const { vote, poll } = changeable;
+        const previousBallot = await getStoredBallot(vote, poll.poll_type, client);
+
+        // Selections are removed by the cascade
+        await client.query('DELETE FROM vote_records WHERE id = $1', [vote.id]);
+
+        for (const optionId of ballotOptionIds(previousBallot)) {
+            await updateVoteCount(optionId, client);
+        }
+
+        await recordVoteHistory(client, {
+            voteId: vote.id,
+            pollId: vote.poll_id,
+            userId,
+            action: 'retract',
+            previousBallot
+        });
+
+        // The retracted vote no longer counts towards the vote frequency policy
+        const eligibility = await getVoteEligibility(poll, { userId }, client);
+
+        await client.query('COMMIT');
+
+        if (eligibility.canVote) {
+            await clearVoteBlock(userId, vote.poll_id);
+        } else {
+            await setVoteBlock(userId, vote.poll_id, eligibility.nextEligibleAt);
+        }
+
+        await refreshPollResults(vote.poll_id);
+
+        res.json({
+            message: 'Vote retracted successfully',
+            nextEligibleAt: eligibility.nextEligibleAt
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Retract vote error:', error);
+        res.status(500).json({ error: 'Failed to retract vote' });
+    } finally {
+        client.release();
+    }
+});
+
 // Get user's vote history
 router.get('/history', authenticateToken, async (req, res) => {
     try {
@@ -156,29 +660,35 @@ router.get('/history', authenticateToken, async (req, res) => {
         // Get vote history
         const historyResult = await pool.query(`
       SELECT 
-        vr.id, vr.voted_at,
-        p.id as poll_id, p.title as poll_title,
-        po.id as option_id, po.text as option_text, po.image_url as option_image
+        vr.id, vr.voted_at, vr.updated_at,
+        p.id as poll_id, p.title as poll_title, p.poll_type,
+        po.id as option_id, ${visibleOptionTextSql} as option_text, ${primaryImageSql} as option_image
       FROM vote_records vr
       JOIN polls p ON vr.poll_id = p.id
-      JOIN poll_options po ON vr.option_id = po.id
+      LEFT JOIN poll_options po ON vr.option_id = po.id
       WHERE vr.user_id = $1
       ORDER BY vr.voted_at DESC
       LIMIT $2 OFFSET $3
     `, [userId, limit, offset]);
 
+        const selections = await getVoteSelections(historyResult.rows.map(vote => vote.id));
+
         const votes = historyResult.rows.map(vote => ({
             id: vote.id,
             votedAt: vote.voted_at,
+            updatedAt: vote.updated_at,
             poll: {
                 id: vote.poll_id,
-                title: vote.poll_title
+                title: vote.poll_title,
+                pollType: vote.poll_type
             },
-            option: {
+            // Multiple-choice ballots have no single option
+            option: vote.option_id ? {
                 id: vote.option_id,
                 text: vote.option_text,
                 imageUrl: vote.option_image
-            }
+            } : null,
+            ...(selections.has(vote.id) && { selections: selections.get(vote.id) })
         }));
 
         res.json({
@@ -209,7 +719,7 @@ router.get('/poll/:pollId', authenticateToken, async (req, res) => {
 
         // Check if user is the poll creator
         const pollResult = await pool.query(`
-      SELECT creator_id FROM polls WHERE id = $1
+      SELECT creator_id, anonymous_votes FROM polls WHERE id = $1
     `, [pollId]);
 
         if (pollResult.rows.length === 0) {
@@ -220,6 +730,8 @@ router.get('/poll/:pollId', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Only the poll creator can view detailed vote information' });
         }
 
+        const anonymous = pollResult.rows[0].anonymous_votes;
+
         // Get total vote count
         const countResult = await pool.query(`
       SELECT COUNT(*) as total
@@ -232,28 +744,38 @@ router.get('/poll/:pollId', authenticateToken, async (req, res) => {
         // Get detailed vote information
         const votesResult = await pool.query(`
       SELECT 
-        vr.id, vr.voted_at,
+        vr.id, vr.voted_at, vr.guest_id,
         u.name as voter_name, u.email as voter_email,
-        po.text as option_text, po.image_url as option_image
+        po.text as option_text, ${primaryImageSql} as option_image
       FROM vote_records vr
-      JOIN users u ON vr.user_id = u.id
-      JOIN poll_options po ON vr.option_id = po.id
+      LEFT JOIN users u ON vr.user_id = u.id
+      LEFT JOIN poll_options po ON vr.option_id = po.id
       WHERE vr.poll_id = $1
       ORDER BY vr.voted_at DESC
       LIMIT $2 OFFSET $3
     `, [pollId, limit, offset]);
 
+        const selections = await getVoteSelections(votesResult.rows.map(vote => vote.id));
+
         const votes = votesResult.rows.map(vote => ({
             id: vote.id,
             votedAt: vote.voted_at,
-            voter: {
+            // Guests are only identified by their guest id; anonymous polls only tell the kind of voter
+            voter: anonymous ? {
+                isGuest: Boolean(vote.guest_id)
+            } : vote.guest_id ? {
+                isGuest: true,
+                guestId: vote.guest_id
+            } : {
+                isGuest: false,
                 name: vote.voter_name,
                 email: vote.voter_email
             },
-            option: {
+            option: vote.option_text ? {
                 text: vote.option_text,
                 imageUrl: vote.option_image
-            }
+            } : null,
+            ...(selections.has(vote.id) && { selections: selections.get(vote.id) })
         }));
 
         res.json({
@@ -281,7 +803,7 @@ router.get('/stats/:pollId', authenticateToken, async (req, res) => {
 
         // Check if user is the poll creator
         const pollResult = await pool.query(`
-      SELECT creator_id, title FROM polls WHERE id = $1
+      SELECT creator_id, title, poll_type, score_min, score_max FROM polls WHERE id = $1
     `, [pollId]);
 
         if (pollResult.rows.length === 0) {
@@ -304,27 +826,13 @@ router.get('/stats/:pollId', authenticateToken, async (req, res) => {
       ORDER BY vote_date DESC
     `, [pollId]);
 
-        // Get option statistics
-        const optionStatsResult = await pool.query(`
-      SELECT 
-        po.id, po.text, po.image_url,
-        COUNT(vr.id) as vote_count,
-        ROUND(
-          (COUNT(vr.id)::float / NULLIF(
-            (SELECT COUNT(*) FROM vote_records WHERE poll_id = $1), 0
-          )) * 100, 2
-        ) as percentage
-      FROM poll_options po
-      LEFT JOIN vote_records vr ON po.id = vr.option_id
-      WHERE po.poll_id = $1
-      GROUP BY po.id, po.text, po.image_url
-      ORDER BY vote_count DESC
-    `, [pollId]);
-
         // Get total statistics
         const totalStatsResult = await pool.query(`
       SELECT 
         COUNT(DISTINCT user_id) as unique_voters,
+        COUNT(DISTINCT guest_id) as unique_guests,
+        COUNT(*) FILTER (WHERE guest_id IS NULL) as account_votes,
+        COUNT(*) FILTER (WHERE guest_id IS NOT NULL) as guest_votes,
         COUNT(*) as total_votes,
         MIN(voted_at) as first_vote,
         MAX(voted_at) as last_vote
@@ -333,12 +841,43 @@ router.get('/stats/:pollId', authenticateToken, async (req, res) => {
     `, [pollId]);
 
         const totalStats = totalStatsResult.rows[0];
+        const totalVotes = parseInt(totalStats.total_votes || 0);
+        const isMultiple = pollResult.rows[0].poll_type === 'multiple';
+        const isScore = pollResult.rows[0].poll_type === 'score';
+        const { optionStats, totalSelections } = await getOptionStats(pollId, pollResult.rows[0], totalVotes);
+
+        // Run the instant-runoff count for ranked polls
+        let runoff;
+        if (pollResult.rows[0].poll_type === 'ranked') {
+            const selectionsResult = await pool.query(`
+        SELECT vs.vote_id, vs.option_id
+        FROM vote_selections vs
+        JOIN vote_records vr ON vs.vote_id = vr.id
+        WHERE vr.poll_id = $1
+        ORDER BY vs.vote_id, vs.rank
+      `, [pollId]);
+
+            const ballots = new Map();
+            for (const row of selectionsResult.rows) {
+                if (!ballots.has(row.vote_id)) {
+                    ballots.set(row.vote_id, []);
+                }
+                ballots.get(row.vote_id).push(row.option_id);
+            }
+
+            runoff = instantRunoff(optionStats.map(stat => stat.id), [...ballots.values()]);
+        }
 
         res.json({
             pollTitle: pollResult.rows[0].title,
+            pollType: pollResult.rows[0].poll_type,
             totalStats: {
                 uniqueVoters: parseInt(totalStats.unique_voters || 0),
-                totalVotes: parseInt(totalStats.total_votes || 0),
+                uniqueGuests: parseInt(totalStats.unique_guests || 0),
+                totalVotes,
+                accountVotes: parseInt(totalStats.account_votes || 0),
+                guestVotes: parseInt(totalStats.guest_votes || 0),
+                ...(isMultiple && { totalSelections }),
                 firstVote: totalStats.first_vote,
                 lastVote: totalStats.last_vote
             },
@@ -346,13 +885,10 @@ router.get('/stats/:pollId', authenticateToken, async (req, res) => {
                 date: stat.vote_date,
                 voteCount: parseInt(stat.vote_count)
             })),
-            optionStats: optionStatsResult.rows.map(stat => ({
-                id: stat.id,
-                text: stat.text,
-                imageUrl: stat.image_url,
-                voteCount: parseInt(stat.vote_count),
-                percentage: parseFloat(stat.percentage || 0)
-            }))
+            optionStats,
+            // Percentages are the share of ballots that chose each option
+            ...(!isScore && { percentageBasis: 'ballots' }),
+            ...(runoff && { runoff })
         });
 
     } catch (error) {
@@ -361,15 +897,153 @@ router.get('/stats/:pollId', authenticateToken, async (req, res) => {
     }
 });
 
+// Poll for an export request, if it's the requester's; resolves to { poll } or { status, error }
+const getExportPoll = async (pollId, userId) => {
+    const pollResult = await pool.query(`
+    SELECT id, creator_id, title, poll_type, score_min, score_max, anonymous_votes FROM polls WHERE id = $1
+  `, [pollId]);
+
+    if (pollResult.rows.length === 0) {
+        return { status: 404, error: 'Poll not found' };
+    }
+
+    if (pollResult.rows[0].creator_id !== userId) {
+        return { status: 403, error: 'Only the poll creator can export poll data' };
+    }
+
+    return { poll: pollResult.rows[0] };
+};
+
+// Export format from ?format= (CSV unless given)
+const getExportFormat = (req) => req.query.format || 'csv';
+
+// Once the download has started an error can't be reported, so the response is cut off instead
+const failExport = (res, error, message) => {
+    console.error(`${message}:`, error);
+    if (res.headersSent) {
+        return res.destroy();
+    }
+    res.status(500).json({ error: message });
+};
+
+// Export a poll's result summary, one row per option (for poll creators)
+router.get('/export/:pollId/results', authenticateToken, async (req, res) => {
+    try {
+        const format = getExportFormat(req);
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const { poll, status, error } = await getExportPoll(req.params.pollId, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const totalResult = await pool.query(`
+      SELECT COUNT(*) as total FROM vote_records WHERE poll_id = $1
+    `, [poll.id]);
+
+        const totalVotes = parseInt(totalResult.rows[0].total);
+        const { optionStats } = await getOptionStats(poll.id, poll, totalVotes);
+        const isMultiple = poll.poll_type === 'multiple';
+        const isScore = poll.poll_type === 'score';
+
+        const columns = [
+            { header: 'Position', value: stat => stat.position },
+            { header: 'Option', value: stat => stat.text },
+            { header: 'Votes', value: stat => stat.voteCount },
+            { header: 'Account votes', value: stat => stat.accountVotes },
+            { header: 'Guest votes', value: stat => stat.guestVotes },
+            ...(isScore ? [
+                { header: 'Average score', value: stat => stat.averageScore },
+                { header: 'Median score', value: stat => stat.medianScore }
+            ] : [
+                { header: 'Percentage of ballots', value: stat => stat.percentage }
+            ]),
+            ...(isMultiple ? [{ header: 'Percentage of selections', value: stat => stat.selectionPercentage }] : [])
+        ];
+
+        const exporter = await startExport(res, format, {
+            filename: `${poll.title}-results`,
+            sheetName: 'Results',
+            columns
+        });
+
+        for (const [index, stat] of optionStats.entries()) {
+            await exporter.row({ position: index + 1, ...stat });
+        }
+        await exporter.end();
+
+    } catch (error) {
+        failExport(res, error, 'Failed to export poll results');
+    }
+});
+
+// Export every vote of a poll, streamed from a database cursor (for poll creators)
+// Ranked, multiple-choice and score ballots get a column per option; anonymous polls leave out who voted
+router.get('/export/:pollId/votes', authenticateToken, async (req, res) => {
+    try {
+        const format = getExportFormat(req);
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const { poll, status, error } = await getExportPoll(req.params.pollId, req.user.userId);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const optionsResult = await pool.query(`
+      SELECT id, text FROM poll_options
+      WHERE poll_id = $1
+      ORDER BY display_order, created_at
+    `, [poll.id]);
+
+        const optionTexts = new Map(optionsResult.rows.map(option => [option.id, option.text]));
+
+        const exporter = await startExport(res, format, {
+            filename: `${poll.title}-votes`,
+            sheetName: 'Votes',
+            columns: getVoteExportColumns(poll, optionsResult.rows)
+        });
+
+        await forEachRowBatch(`
+      SELECT
+        vr.id, vr.voted_at, vr.guest_id,
+        u.name as voter_name, u.email as voter_email,
+        po.text as option_text,
+        (SELECT json_agg(json_build_object('option_id', vs.option_id, 'rank', vs.rank, 'score', vs.score)
+                         ORDER BY vs.rank NULLS LAST)
+         FROM vote_selections vs WHERE vs.vote_id = vr.id) as selections
+      FROM vote_records vr
+      LEFT JOIN users u ON vr.user_id = u.id
+      LEFT JOIN poll_options po ON vr.option_id = po.id
+      WHERE vr.poll_id = $1
+      ORDER BY vr.voted_at, vr.id
+    `, [poll.id], async (rows) => {
+            for (const vote of rows) {
+                await exporter.row(toVoteExportRecord(poll, vote, optionTexts));
+            }
+        });
+
+        await exporter.end();
+
+    } catch (error) {
+        failExport(res, error, 'Failed to export poll votes');
+    }
+});
+
 // Check if user can vote for a poll
-router.get('/can-vote/:pollId', authenticateToken, async (req, res) => {
+router.get('/can-vote/:pollId', authenticateVoter, async (req, res) => {
     try {
         const pollId = req.params.pollId;
-        const userId = req.user.userId;
+        const voter = req.guest ? { guestId: req.guest.guestId } : { userId: req.user.userId };
 
         // Check if poll exists and is active
         const pollResult = await pool.query(`
-      SELECT is_active, end_date FROM polls WHERE id = $1
+      SELECT id, is_active, start_date, end_date, vote_frequency, votes_per_day, vote_cooldown_minutes, allow_guest_votes,
+        require_verified_email, visibility, creator_id, hidden_at
+      FROM polls WHERE id = $1
     `, [pollId]);
 
         if (pollResult.rows.length === 0) {
@@ -378,6 +1052,18 @@ router.get('/can-vote/:pollId', authenticateToken, async (req, res) => {
 
         const poll = pollResult.rows[0];
 
+        if (!(await canAccessPoll(poll, req))) {
+            return res.json({ canVote: false, reason: 'Invite required', accessRequired: true });
+        }
+
+        if (poll.hidden_at) {
+            return res.json({ canVote: false, reason: 'Hidden by a moderator' });
+        }
+
+        if (poll.start_date && new Date(poll.start_date) > new Date()) {
+            return res.json({ canVote: false, reason: 'Poll has not started yet', startDate: poll.start_date });
+        }
+
         if (!poll.is_active) {
             return res.json({ canVote: false, reason: 'Poll is not active' });
         }
@@ -386,23 +1072,34 @@ router.get('/can-vote/:pollId', authenticateToken, async (req, res) => {
             return res.json({ canVote: false, reason: 'Poll has ended' });
         }
 
-        // Check if user has voted today
-        const votedToday = await hasVotedToday(userId, pollId);
-        if (votedToday) {
-            return res.json({ canVote: false, reason: 'Already voted today' });
+        if (voter.guestId && !poll.allow_guest_votes) {
+            return res.json({ canVote: false, reason: 'Sign in required' });
         }
 
-        // Double-check with database
-        const existingVoteResult = await pool.query(`
-      SELECT id FROM vote_records 
-      WHERE user_id = $1 AND poll_id = $2 AND DATE(voted_at) = CURRENT_DATE
-    `, [userId, pollId]);
+        if (poll.require_verified_email && (voter.guestId || !(await isEmailVerified(voter.userId)))) {
+            return res.json({ canVote: false, reason: 'Email verification required', emailVerificationRequired: true });
+        }
 
-        if (existingVoteResult.rows.length > 0) {
-            return res.json({ canVote: false, reason: 'Already voted today' });
+        // Check the vote frequency policy in Redis first
+        const voteBlock = await getVoteBlock(voterKey(voter), pollId);
+        if (voteBlock) {
+            return res.json({
+                canVote: false,
+                reason: 'Already voted',
+                voteFrequency: poll.vote_frequency,
+                nextEligibleAt: voteBlock.nextEligibleAt
+            });
         }
 
-        res.json({ canVote: true });
+        // Double-check with database
+        const eligibility = await getVoteEligibility(poll, voter);
+
+        res.json({
+            canVote: eligibility.canVote,
+            ...(eligibility.reason && { reason: eligibility.reason }),
+            voteFrequency: poll.vote_frequency,
+            nextEligibleAt: eligibility.nextEligibleAt
+        });
 
     } catch (error) {
         console.error('Can vote check error:', error);
@@ -410,4 +1107,36 @@ router.get('/can-vote/:pollId', authenticateToken, async (req, res) => {
     }
 });
 
+// Get the change history of one of the user's votes
+router.get('/:voteId/history', authenticateToken, async (req, res) => {
+    try {
+        const historyResult = await pool.query(`
+      SELECT id, poll_id, action, previous_ballot, ballot, created_at
+      FROM vote_history
+      WHERE vote_id = $1 AND user_id = $2
+      ORDER BY created_at
+    `, [req.params.voteId, req.user.userId]);
+
+        if (historyResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Vote not found' });
+        }
+
+        res.json({
+            voteId: req.params.voteId,
+            pollId: historyResult.rows[0].poll_id,
+            history: historyResult.rows.map(entry => ({
+                id: entry.id,
+                action: entry.action,
+                previousBallot: entry.previous_ballot,
+                ballot: entry.ballot,
+                createdAt: entry.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Vote change history error:', error);
+        res.status(500).json({ error: 'Failed to fetch vote change history' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
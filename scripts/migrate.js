@@ -0,0 +1,62 @@
+// Apply or roll back database migrations (see config/migrations.js):
+//   npm run migrate                         apply every pending migration
+//   npm run migrate -- --to 003             apply pending migrations up to version 003
+//   npm run migrate:rollback                roll back the last migration
+//   npm run migrate:rollback -- --steps 2   roll back the last two migrations
+//   npm run migrate:rollback -- --to 003    roll back every migration after version 003
+//   npm run migrate:status                  list migrations and when they were applied
+//   npm run migrate:create -- add_poll_tags create an empty migration file
+require('dotenv').config();
+const { pool } = require('../config/database');
+const {
+    MIGRATION_FILE_PATTERN, migrate, rollback, getMigrationStatus, createMigration
+} = require('../config/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js <up|down|status|create> [--to <version>] [--steps <n>] [name]';
+
+// Value of a --flag option, or null
+const option = (args, flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : null;
+};
+
+const run = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    const to = option(args, '--to');
+    const steps = option(args, '--steps');
+
+    if ((to !== null && !/^\d+$/.test(to)) || (steps !== null && !/^[1-9]\d*$/.test(steps))) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (command === 'up') {
+        await migrate({ to });
+    } else if (command === 'down') {
+        await rollback({ to, steps: steps ? parseInt(steps) : 1 });
+    } else if (command === 'status') {
+        const migrations = await getMigrationStatus();
+        migrations.forEach(({ version, name, appliedAt }) => {
+            console.log(`${appliedAt ? '✅' : '⏳'} ${version}_${name}${appliedAt ? `  (applied ${appliedAt.toISOString()})` : '  (pending)'}`);
+        });
+    } else if (command === 'create') {
+        const name = args[0];
+        if (!name || !MIGRATION_FILE_PATTERN.test(`000_${name}.js`)) {
+            console.error('Usage: npm run migrate:create -- <name> (letters, digits, _ and - only)');
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`✅ Created ${await createMigration(name)}`);
+    } else {
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('❌ Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,36 @@
+// Set a user's role from the command line, e.g. to create the first admin:
+//   npm run set-role -- admin@example.com admin
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { ROLES } = require('../services/roles');
+
+const setRole = async () => {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await pool.query(
+        'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 RETURNING id',
+        [role, email]
+    );
+
+    if (result.rows.length === 0) {
+        console.error(`No user with email ${email}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Existing sessions pick up the new role when their access token is refreshed
+    console.log(`✅ ${email} is now ${role}`);
+};
+
+setRole()
+    .catch((error) => {
+        console.error('❌ Failed to set role:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -3,13 +3,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const pollRoutes = require('./routes/polls');
 const voteRoutes = require('./routes/votes');
-const { initDatabase } = require('./config/database');
+const adminRoutes = require('./routes/admin');
+const moderationRoutes = require('./routes/moderation');
+const { migrate } = require('./config/migrations');
 const { connectRedis } = require('./config/redis');
+const { startPollScheduler } = require('./services/pollScheduler');
+const { serveLocalUploads } = require('./services/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -40,6 +45,11 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', authRoutes);
 app.use('/api/polls', pollRoutes);
 app.use('/api/votes', voteRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+// Uploaded images (when using local media storage)
+serveLocalUploads(app);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -48,6 +58,11 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Rejected uploads (too large, too many files, not an image)
+    if (err instanceof multer.MulterError || err.status === 400) {
+        return res.status(400).json({ error: err.message });
+    }
+
     console.error(err.stack);
     res.status(500).json({
         error: 'Something went wrong!',
@@ -60,16 +75,22 @@ app.use('*', (req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
-// Initialize database and Redis connections
+// Migrate the database and connect to Redis
 async function startServer() {
     try {
-        await initDatabase();
+        // Bring the schema up to date; set MIGRATE_ON_START=false to run `npm run migrate` separately
+        if (process.env.MIGRATE_ON_START !== 'false') {
+            await migrate();
+        }
         await connectRedis();
 
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Open and close scheduled polls in the background
+        startPollScheduler();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { sendMail } = require('./mailer');
+
+// Purposes of single-use tokens in user_tokens, with how long each stays valid
+const TOKEN_PURPOSES = {
+    email_verification: { ttlMinutes: 24 * 60 },
+    password_reset: { ttlMinutes: 60 }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token for a user; earlier unused tokens for the same purpose stop working
+const createUserToken = async (userId, purpose, db = pool) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await db.query(`
+      UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+    `, [userId, purpose]);
+
+    await db.query(`
+      INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+    `, [userId, purpose, hashToken(token), TOKEN_PURPOSES[purpose].ttlMinutes]);
+
+    return token;
+};
+
+// Use up a token; resolves to its user id, or null if it is unknown, expired or already used
+const consumeUserToken = async (token, purpose, db = pool) => {
+    const result = await db.query(`
+      UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [hashToken(token), purpose]);
+
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+const frontendLink = (path, token) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
+    return `${frontendUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+// Email a user ({ id, name, email }) a link to verify their address
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user.id, 'email_verification');
+    const link = frontendLink('/verify-email', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\n`
+            + `Please confirm your email address by opening this link:\n${link}\n\n`
+            + 'The link is valid for 24 hours. If you did not create an account, you can ignore this email.\n'
+    });
+};
+
+// Email a user ({ id, name, email }) a link to choose a new password
+const sendPasswordResetEmail = async (user) => {
+    const token = await createUserToken(user.id, 'password_reset');
+    const link = frontendLink('/reset-password', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n`
+            + `Someone asked to reset the password for your account. To choose a new password, open this link:\n${link}\n\n`
+            + 'The link is valid for 1 hour and can only be used once. If you did not ask for this, you can ignore this email.\n'
+    });
+};
+
+// Whether a user has verified their email address
+const isEmailVerified = async (userId, db = pool) => {
+    const result = await db.query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0 && result.rows[0].email_verified === true;
+};
+
+module.exports = {
+    createUserToken,
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    isEmailVerified
+};
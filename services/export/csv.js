@@ -0,0 +1,25 @@
+// CSV (RFC 4180) with a byte order mark so spreadsheet apps read it as UTF-8
+const formatValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    let text = String(value);
+    // Text that starts like a formula would be run as one by spreadsheet apps
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = (write, { columns }) => ({
+    contentType: 'text/csv; charset=utf-8',
+    begin: () => write(`\ufeff${columns.map(column => formatValue(column.header)).join(',')}\r\n`),
+    row: (record) => write(`${columns.map(column => formatValue(column.value(record))).join(',')}\r\n`),
+    end: async () => {}
+});
+
+module.exports = createCsvWriter;
@@ -0,0 +1,53 @@
+const createCsvWriter = require('./csv');
+
+const buildCsv = async (columns, records) => {
+    let output = '';
+    const writer = createCsvWriter(async (text) => {
+        output += text;
+    }, { columns });
+
+    await writer.begin();
+    for (const record of records) {
+        await writer.row(record);
+    }
+    await writer.end();
+    return output;
+};
+
+const columns = [{ header: 'Text', value: record => record.text }];
+
+describe('createCsvWriter', () => {
+    test('starts with a byte order mark and ends rows with CRLF', async () => {
+        await expect(buildCsv(columns, [{ text: 'Pizza' }])).resolves.toBe('\ufeffText\r\nPizza\r\n');
+    });
+
+    test('quotes values with commas, quotes and line breaks', async () => {
+        await expect(buildCsv(columns, [{ text: 'a, b' }, { text: 'say "hi"' }, { text: 'two\nlines' }]))
+            .resolves.toBe('\ufeffText\r\n"a, b"\r\n"say ""hi"""\r\n"two\nlines"\r\n');
+    });
+
+    test.each(['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd', '=HYPERLINK("http://example.com")'])(
+        'keeps text that starts like a formula (%j) from being run', async (text) => {
+            const output = await buildCsv(columns, [{ text }]);
+            const cell = output.split('\r\n')[1];
+
+            expect(cell.replace(/^"/, '').startsWith(`'${text[0]}`)).toBe(true);
+        }
+    );
+
+    test('leaves numbers, dates and empty values as they are', async () => {
+        const output = await buildCsv([
+            { header: 'Score', value: record => record.score },
+            { header: 'Voted at', value: record => record.votedAt },
+            { header: 'Name', value: record => record.name }
+        ], [{ score: -2, votedAt: new Date(Date.UTC(2024, 0, 1)), name: null }]);
+
+        expect(output).toBe('\ufeffScore,Voted at,Name\r\n-2,2024-01-01T00:00:00.000Z,\r\n');
+    });
+
+    test('escapes formulas in headers too', async () => {
+        const output = await buildCsv([{ header: '=cmd', value: () => 1 }], []);
+
+        expect(output).toBe('\ufeff\'=cmd\r\n');
+    });
+});
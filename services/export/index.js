@@ -0,0 +1,59 @@
+const createCsvWriter = require('./csv');
+const createJsonLinesWriter = require('./jsonl');
+const createXlsxWriter = require('./xlsx');
+
+// Export file formats, chosen per request with ?format=
+// Every writer provides contentType, begin(), row(record) and end(); tabular formats turn records
+// into cells with columns ([{ header, value(record) }]), JSON Lines writes the records as they are
+const formats = {
+    csv: createCsvWriter,
+    jsonl: createJsonLinesWriter,
+    xlsx: createXlsxWriter
+};
+
+const EXPORT_FORMATS = Object.keys(formats);
+
+// Write to the response, waiting when its buffer is full; rejects if the client went away,
+// so a long export stops reading from the database
+const responseWriter = (res) => (chunk) => {
+    if (res.destroyed) {
+        return Promise.reject(new Error('Export client disconnected'));
+    }
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            res.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            res.off('drain', onDrain);
+            reject(new Error('Export client disconnected'));
+        };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+};
+
+// Start an export download (filename without extension); resolves to { row(record), end() }
+const startExport = async (res, format, { filename, columns, sheetName }) => {
+    const writer = formats[format](responseWriter(res), { columns, sheetName });
+
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '_')}.${format}"`);
+    await writer.begin();
+
+    return {
+        row: writer.row,
+        end: async () => {
+            await writer.end();
+            res.end();
+        }
+    };
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    startExport
+};
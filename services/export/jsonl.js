@@ -0,0 +1,9 @@
+// JSON Lines: one JSON object per line, with the full record rather than the flattened columns
+const createJsonLinesWriter = (write) => ({
+    contentType: 'application/x-ndjson; charset=utf-8',
+    begin: async () => {},
+    row: (record) => write(`${JSON.stringify(record)}\n`),
+    end: async () => {}
+});
+
+module.exports = createJsonLinesWriter;
@@ -0,0 +1,96 @@
+const createZipWriter = require('./zip');
+
+// Excel workbook with a single worksheet, streamed row by row
+// Text is written as inline strings (no shared string table to hold in memory)
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Cell styles: 0 default, 1 date and time, 2 bold (header row)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+const escapeXml = (text) => String(text)
+    // Control characters aren't allowed in XML at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Spreadsheet dates are days since 1899-12-30 (in UTC here)
+const toSerialDate = (date) => date.getTime() / 86400000 + 25569;
+
+const cellXml = (value, style = 0) => {
+    if (value === null || value === undefined || value === '') {
+        return '<c/>';
+    }
+    if (value instanceof Date) {
+        return `<c s="1"><v>${toSerialDate(value)}</v></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c${style ? ` s="${style}"` : ''}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (cells) => `<row>${cells.join('')}</row>`;
+
+const createXlsxWriter = (write, { columns, sheetName = 'Sheet1' }) => {
+    const zip = createZipWriter(write);
+    let sheet;
+
+    return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        begin: async () => {
+            await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+            await zip.addFile('_rels/.rels', ROOT_RELS);
+            await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+            await zip.addFile('xl/styles.xml', STYLES);
+            await zip.addFile('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+
+            sheet = await zip.startFile('xl/worksheets/sheet1.xml');
+            await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+                + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+            await sheet.write(rowXml(columns.map(column => cellXml(column.header, 2))));
+        },
+        row: (record) => sheet.write(rowXml(columns.map(column => cellXml(column.value(record))))),
+        end: async () => {
+            await sheet.write('</sheetData></worksheet>');
+            await sheet.end();
+            await zip.finish();
+        }
+    };
+};
+
+module.exports = createXlsxWriter;
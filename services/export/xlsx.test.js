@@ -0,0 +1,86 @@
+const JSZip = require('jszip');
+const createXlsxWriter = require('./xlsx');
+
+const columns = [
+    { header: 'Name', value: record => record.name },
+    { header: 'Votes', value: record => record.votes },
+    { header: 'Winner', value: record => record.winner },
+    { header: 'Voted at', value: record => record.votedAt }
+];
+
+// Build a workbook in memory and open it again as a zip archive
+const buildWorkbook = async (records, options = {}) => {
+    const chunks = [];
+    const writer = createXlsxWriter(async (buffer) => {
+        chunks.push(buffer);
+    }, { columns, ...options });
+
+    await writer.begin();
+    for (const record of records) {
+        await writer.row(record);
+    }
+    await writer.end();
+
+    return JSZip.loadAsync(Buffer.concat(chunks), { checkCRC32: true });
+};
+
+const sheetRows = async (workbook) => {
+    const sheet = await workbook.file('xl/worksheets/sheet1.xml').async('string');
+    return sheet.match(/<row>.*?<\/row>/g);
+};
+
+describe('createXlsxWriter', () => {
+    test('writes a workbook package with a single worksheet', async () => {
+        const workbook = await buildWorkbook([], { sheetName: 'Results: [final]' });
+
+        expect(Object.keys(workbook.files).sort()).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/workbook.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        // Characters sheet names can't have are replaced
+        await expect(workbook.file('xl/workbook.xml').async('string'))
+            .resolves.toContain('<sheet name="Results   final " sheetId="1" r:id="rId1"/>');
+    });
+
+    test('writes a bold header row, then one row per record with typed cells', async () => {
+        const workbook = await buildWorkbook([
+            { name: 'Pizza', votes: 3, winner: true, votedAt: new Date(Date.UTC(2024, 0, 1, 12)) },
+            { name: null, votes: 0, winner: false, votedAt: null }
+        ]);
+        const rows = await sheetRows(workbook);
+
+        expect(rows).toHaveLength(3);
+        expect(rows[0]).toBe('<row>'
+            + '<c t="inlineStr" s="2"><is><t xml:space="preserve">Name</t></is></c>'
+            + '<c t="inlineStr" s="2"><is><t xml:space="preserve">Votes</t></is></c>'
+            + '<c t="inlineStr" s="2"><is><t xml:space="preserve">Winner</t></is></c>'
+            + '<c t="inlineStr" s="2"><is><t xml:space="preserve">Voted at</t></is></c>'
+            + '</row>');
+        expect(rows[1]).toBe('<row>'
+            + '<c t="inlineStr"><is><t xml:space="preserve">Pizza</t></is></c>'
+            + '<c><v>3</v></c>'
+            + '<c t="b"><v>1</v></c>'
+            + '<c s="1"><v>45292.5</v></c>'
+            + '</row>');
+        expect(rows[2]).toBe('<row><c/><c><v>0</v></c><c t="b"><v>0</v></c><c/></row>');
+    });
+
+    test('escapes markup and drops characters XML does not allow', async () => {
+        const workbook = await buildWorkbook([{ name: '<b>"Fish" & chips</b>\u0007', votes: 1 }]);
+        const rows = await sheetRows(workbook);
+
+        expect(rows[1]).toContain('<t xml:space="preserve">&lt;b&gt;&quot;Fish&quot; &amp; chips&lt;/b&gt;</t>');
+    });
+
+    test('keeps many rows intact', async () => {
+        const records = Array.from({ length: 5000 }, (_, index) => ({ name: `Voter ${index}`, votes: index }));
+        const rows = await sheetRows(await buildWorkbook(records));
+
+        expect(rows).toHaveLength(5001);
+        expect(rows[5000]).toContain('Voter 4999');
+    });
+});
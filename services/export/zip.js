@@ -0,0 +1,166 @@
+const zlib = require('zlib');
+
+// Minimal streaming zip writer (deflate, no zip64), enough for XLSX workbooks
+// write(buffer) -> Promise sends bytes on; entries are written one after another
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+    let c = crc ^ 0xffffffff;
+    for (const byte of buffer) {
+        c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+// Date and time in MS-DOS format, as zip headers want them
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Bit 3: sizes and CRC follow the data (streamed entries); bit 11: UTF-8 names
+const STREAMED_FLAGS = 0x0808;
+const WHOLE_FILE_FLAGS = 0x0800;
+
+// Compressed data is handed to the output in pieces of about this size
+const CHUNK_SIZE = 64 * 1024;
+
+const createZipWriter = (write) => {
+    const entries = [];
+    const modified = dosDateTime(new Date());
+    let offset = 0;
+
+    const writeRaw = async (buffer) => {
+        offset += buffer.length;
+        await write(buffer);
+    };
+
+    const localHeader = (name, flags, { crc = 0, compressedSize = 0, size = 0 } = {}) => {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(modified.time, 10);
+        header.writeUInt16LE(modified.date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressedSize, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(Buffer.byteLength(name), 26);
+        header.writeUInt16LE(0, 28);
+        return Buffer.concat([header, Buffer.from(name)]);
+    };
+
+    // Add a small file in one go
+    const addFile = async (name, content) => {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        const entry = { name, flags: WHOLE_FILE_FLAGS, offset, crc: crc32(data), compressedSize: compressed.length, size: data.length };
+
+        await writeRaw(localHeader(name, entry.flags, entry));
+        await writeRaw(compressed);
+        entries.push(entry);
+    };
+
+    // Start a file whose content is written piece by piece; resolves to { write(text), end() }
+    const startFile = async (name) => {
+        const entry = { name, flags: STREAMED_FLAGS, offset, crc: 0, compressedSize: 0, size: 0 };
+        const deflate = zlib.createDeflateRaw();
+        const output = [];
+        let buffered = [];
+        let bufferedSize = 0;
+
+        deflate.on('data', chunk => output.push(chunk));
+
+        const flushOutput = async () => {
+            while (output.length > 0) {
+                const chunk = output.shift();
+                entry.compressedSize += chunk.length;
+                await writeRaw(chunk);
+            }
+        };
+
+        const compress = async () => {
+            const data = Buffer.concat(buffered);
+            buffered = [];
+            bufferedSize = 0;
+            entry.crc = crc32(data, entry.crc);
+            entry.size += data.length;
+            await new Promise((resolve, reject) => deflate.write(data, error => (error ? reject(error) : resolve())));
+            await flushOutput();
+        };
+
+        await writeRaw(localHeader(name, entry.flags));
+
+        return {
+            write: async (text) => {
+                const data = Buffer.from(text);
+                buffered.push(data);
+                bufferedSize += data.length;
+                if (bufferedSize >= CHUNK_SIZE) {
+                    await compress();
+                }
+            },
+            end: async () => {
+                if (bufferedSize > 0) {
+                    await compress();
+                }
+                await new Promise((resolve, reject) => {
+                    deflate.once('end', resolve);
+                    deflate.once('error', reject);
+                    deflate.end();
+                });
+                await flushOutput();
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await writeRaw(descriptor);
+                entries.push(entry);
+            }
+        };
+    };
+
+    // Write the central directory that closes the archive
+    const finish = async () => {
+        const directoryOffset = offset;
+
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(modified.time, 12);
+            header.writeUInt16LE(modified.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(Buffer.byteLength(entry.name), 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await writeRaw(Buffer.concat([header, Buffer.from(entry.name)]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await writeRaw(end);
+    };
+
+    return { addFile, startFile, finish };
+};
+
+module.exports = createZipWriter;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const createZipWriter = require('./zip');
+
+// A zip writer that collects the archive in memory
+const collect = () => {
+    const chunks = [];
+    const zip = createZipWriter(async (buffer) => {
+        chunks.push(buffer);
+    });
+    return { zip, archive: () => Buffer.concat(chunks) };
+};
+
+const readArchive = (buffer) => JSZip.loadAsync(buffer, { checkCRC32: true });
+
+describe('createZipWriter', () => {
+    test('writes whole files that zip readers can open', async () => {
+        const { zip, archive } = collect();
+        await zip.addFile('hello.txt', 'Hello, world');
+        await zip.addFile('folder/ünïcödé.txt', 'Grüße');
+        await zip.finish();
+
+        const read = await readArchive(archive());
+        expect(Object.keys(read.files)).toEqual(['hello.txt', 'folder/ünïcödé.txt']);
+        await expect(read.file('hello.txt').async('string')).resolves.toBe('Hello, world');
+        await expect(read.file('folder/ünïcödé.txt').async('string')).resolves.toBe('Grüße');
+    });
+
+    test('writes streamed files, across several compressed chunks', async () => {
+        // Random text doesn't compress much, so it is written in more than one chunk
+        const lines = Array.from({ length: 3000 }, () => `${crypto.randomBytes(48).toString('base64')}\n`);
+
+        const { zip, archive } = collect();
+        await zip.addFile('first.txt', 'before');
+        const file = await zip.startFile('big.txt');
+        for (const line of lines) {
+            await file.write(line);
+        }
+        await file.end();
+        const empty = await zip.startFile('empty.txt');
+        await empty.end();
+        await zip.finish();
+
+        const read = await readArchive(archive());
+        await expect(read.file('first.txt').async('string')).resolves.toBe('before');
+        await expect(read.file('big.txt').async('string')).resolves.toBe(lines.join(''));
+        await expect(read.file('empty.txt').async('string')).resolves.toBe('');
+    });
+
+    test('ends with a central directory listing every entry', async () => {
+        const { zip, archive } = collect();
+        await zip.addFile('a.txt', 'a');
+        const file = await zip.startFile('b.txt');
+        await file.write('b');
+        await file.end();
+        await zip.finish();
+
+        const buffer = archive();
+        const end = buffer.subarray(buffer.length - 22);
+        expect(end.readUInt32LE(0)).toBe(0x06054b50);
+        expect(end.readUInt16LE(10)).toBe(2);
+        expect(end.readUInt32LE(16) + end.readUInt32LE(12)).toBe(buffer.length - 22);
+        expect(buffer.readUInt32LE(end.readUInt32LE(16))).toBe(0x02014b50);
+    });
+});
@@ -0,0 +1,105 @@
+const {
+    incrementRateLimit, getRateLimitCount, clearRateLimit, getLoginBlock, setLoginBlock, clearLoginBlock
+} = require('../config/redis');
+
+// Brute-force protection for password sign-ins
+// Failed attempts are counted per account (email address, whether or not it has an account) and per IP.
+// Past a threshold every failure makes the next attempt wait (1s, 2s, 4s... up to 30s), and at the limit
+// sign-ins are locked for a while. Counts are kept in Redis, so the limits hold across API instances.
+//   LOGIN_MAX_FAILED_ATTEMPTS  failures per account before it is locked (defaults to 10)
+//   LOGIN_LOCKOUT_MINUTES      how long a lockout lasts (defaults to 15)
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+const LOCKOUT_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+const MAX_DELAY_SECONDS = 30;
+
+// An IP gets more room than an account, since users behind one address share it
+const SCOPES = {
+    account: { delayAfter: 3, lockAfter: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10 },
+    ip: { delayAfter: 10, lockAfter: 50 }
+};
+
+const accountKey = (email) => `account:${email.trim().toLowerCase()}`;
+
+// The scopes a sign-in attempt counts against, with their Redis keys
+const attemptScopes = (email, ip) => [
+    { scope: 'account', key: accountKey(email) },
+    ...(ip ? [{ scope: 'ip', key: `ip:${ip}` }] : [])
+];
+
+// Whether a sign-in attempt has to wait; resolves to { scope, locked, retryAfter } or null
+const getLoginLockout = async (email, ip) => {
+    for (const { scope, key } of attemptScopes(email, ip)) {
+        const block = await getLoginBlock(key);
+        if (block) {
+            return { scope, ...block };
+        }
+    }
+    return null;
+};
+
+// Count a failed sign-in; resolves to the account's lockout state for the response:
+// { attemptsRemaining, locked, retryAfter } (attemptsRemaining is null if Redis is unavailable)
+const recordLoginFailure = async (email, ip) => {
+    const state = { attemptsRemaining: null, locked: false, retryAfter: 0 };
+
+    for (const { scope, key } of attemptScopes(email, ip)) {
+        const { delayAfter, lockAfter } = SCOPES[scope];
+        const failures = await incrementRateLimit(`login_failures:${key}`, FAILURE_WINDOW_SECONDS);
+        if (failures === 0) {
+            continue;
+        }
+
+        let block = null;
+        if (failures >= lockAfter) {
+            block = { locked: true, retryAfter: LOCKOUT_SECONDS };
+        } else if (failures >= delayAfter) {
+            block = { locked: false, retryAfter: Math.min(2 ** (failures - delayAfter), MAX_DELAY_SECONDS) };
+        }
+
+        if (block) {
+            await setLoginBlock(key, block.retryAfter, block.locked);
+            state.locked = state.locked || block.locked;
+            state.retryAfter = Math.max(state.retryAfter, block.retryAfter);
+        }
+
+        if (scope === 'account') {
+            state.attemptsRemaining = Math.max(lockAfter - failures, 0);
+        }
+    }
+
+    return state;
+};
+
+// Forget an account's failed attempts after a successful sign-in
+// (the IP's count stays, so one known password can't reset it while spraying others)
+const recordLoginSuccess = async (email) => {
+    const key = accountKey(email);
+    await clearRateLimit(`login_failures:${key}`);
+    await clearLoginBlock(key);
+};
+
+// Failed attempts and lockout of an account, for admins
+const getAccountLockout = async (email) => {
+    const key = accountKey(email);
+    const [failedAttempts, block] = await Promise.all([
+        getRateLimitCount(`login_failures:${key}`),
+        getLoginBlock(key)
+    ]);
+
+    return {
+        failedAttempts,
+        locked: Boolean(block && block.locked),
+        retryAfter: block ? block.retryAfter : 0
+    };
+};
+
+// Lift an account's lockout and reset its failed attempts
+const unlockAccount = recordLoginSuccess;
+
+module.exports = {
+    getLoginLockout,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getAccountLockout,
+    unlockAccount
+};
@@ -0,0 +1,11 @@
+// Console driver (MAILER=console, the default) for local development:
+// messages are printed instead of sent, so links in them can be copied from the log
+const createConsoleMailer = () => {
+    const send = async ({ to, subject, text }) => {
+        console.log(`--- Mail to ${to}: ${subject} ---\n${text}\n--- End of mail ---`);
+    };
+
+    return { name: 'console', send };
+};
+
+module.exports = createConsoleMailer;
@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// File driver (MAILER=file) for local development: every message is saved as an .eml file
+// in MAIL_DIR, which most mail clients can open
+const createFileMailer = () => {
+    const directory = path.resolve(process.env.MAIL_DIR || 'mail');
+
+    const send = async ({ to, subject, message }) => {
+        await fs.mkdir(directory, { recursive: true });
+        const filePath = path.join(directory, `${Date.now()}-${crypto.randomUUID()}.eml`);
+        await fs.writeFile(filePath, message);
+        console.log(`Mail to ${to} ("${subject}") saved to ${filePath}`);
+    };
+
+    return { name: 'file', send };
+};
+
+module.exports = createFileMailer;
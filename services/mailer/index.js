@@ -0,0 +1,39 @@
+const { buildMessage } = require('./message');
+const createSmtpMailer = require('./smtp');
+const createFileMailer = require('./file');
+const createConsoleMailer = require('./console');
+
+// Mail drivers, chosen with MAILER (defaults to console)
+// Every driver provides send({ from, to, subject, text, html, message }),
+// where message is the full MIME message built from the other fields
+const drivers = {
+    smtp: createSmtpMailer,
+    file: createFileMailer,
+    console: createConsoleMailer
+};
+
+let mailer = null;
+
+// The configured driver (created on first use)
+const getMailer = () => {
+    if (!mailer) {
+        const name = process.env.MAILER || 'console';
+        if (!drivers[name]) {
+            throw new Error(`Unknown MAILER driver: ${name}`);
+        }
+        mailer = drivers[name]();
+    }
+    return mailer;
+};
+
+// Send a message ({ to, subject, text, html? }) from MAIL_FROM
+const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || 'no-reply@localhost';
+    const message = buildMessage({ from, to, subject, text, html });
+    await getMailer().send({ from, to, subject, text, html, message });
+};
+
+module.exports = {
+    getMailer,
+    sendMail
+};
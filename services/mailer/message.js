@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Encode a header value that may contain non-ASCII text (RFC 2047)
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// Base64 body wrapped at 76 characters per line
+const encodeBody = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// Build a MIME message ({ from, to, subject, text, html? }) ready to send or save as .eml
+const buildMessage = ({ from, to, subject, text, html }) => {
+    const domain = (from.match(/@([^>\s]+)/) || [])[1] || os.hostname();
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0'
+    ];
+
+    if (!html) {
+        return [
+            ...headers,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            encodeBody(text)
+        ].join('\r\n');
+    }
+
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(html),
+        `--${boundary}--`
+    ].join('\r\n');
+};
+
+module.exports = {
+    buildMessage
+};
@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// SMTP driver (MAILER=smtp): implicit TLS (SMTP_SECURE=true, usually port 465) or STARTTLS,
+// with SMTP_USER / SMTP_PASS credentials when set.
+// Credentials are only sent over TLS: without implicit TLS the server must offer STARTTLS, unless
+// SMTP_ALLOW_INSECURE=true (for local relays such as MailHog that have no TLS)
+const createSmtpMailer = () => {
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        throw new Error('SMTP mailer needs SMTP_HOST');
+    }
+
+    const secure = process.env.SMTP_SECURE === 'true';
+    const user = process.env.SMTP_USER;
+    const allowInsecure = process.env.SMTP_ALLOW_INSECURE === 'true';
+
+    const transport = nodemailer.createTransport({
+        host,
+        port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+        secure,
+        requireTLS: !secure && !allowInsecure,
+        name: process.env.SMTP_CLIENT_NAME || undefined,
+        ...(user && { auth: { user, pass: process.env.SMTP_PASS || '' } })
+    });
+
+    // The message is already built (see message.js), so it is handed over as is
+    const send = async ({ from, to, message }) => {
+        await transport.sendMail({ envelope: { from, to }, raw: message });
+    };
+
+    return { name: 'smtp', send };
+};
+
+module.exports = createSmtpMailer;
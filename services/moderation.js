@@ -0,0 +1,189 @@
+const { pool } = require('../config/database');
+const { refreshPollResults } = require('./pollResults');
+const { deletePoll, deleteUnusedImages } = require('./pollDeletion');
+
+const REPORT_REASONS = ['spam', 'offensive', 'inappropriate', 'misleading', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// What moderators can do to reported content; options can't be removed because their votes
+// would go with them, so they are only ever hidden
+const MODERATION_ACTIONS = ['hide', 'restore', 'remove'];
+
+// Reportable content: its table, its column in content_reports and its name in messages
+const TARGETS = {
+    poll: { table: 'polls', reportColumn: 'poll_id', label: 'Poll' },
+    option: { table: 'poll_options', reportColumn: 'option_id', label: 'Poll option' },
+    image: { table: 'poll_option_images', reportColumn: 'image_id', label: 'Image' }
+};
+
+// Shown instead of the text of a hidden option
+const HIDDEN_OPTION_TEXT = 'Hidden by a moderator';
+
+// SQL for an option's text and description with hidden options masked (expects poll_options as po)
+const visibleOptionTextSql = `CASE WHEN po.hidden_at IS NULL THEN po.text ELSE '${HIDDEN_OPTION_TEXT}' END`;
+const visibleOptionDescriptionSql = 'CASE WHEN po.hidden_at IS NULL THEN po.description END';
+
+// Moderation notice for a poll row with hidden_at / hidden_reason (null when it isn't hidden)
+const moderationNotice = (poll) => poll.hidden_at
+    ? { hidden: true, hiddenAt: poll.hidden_at, reason: poll.hidden_reason }
+    : null;
+
+// Load a report target with the poll it belongs to, locked for a moderation decision
+const findTarget = async (targetType, targetId, db) => {
+    const queries = {
+        poll: 'SELECT id, id as poll_id, hidden_at FROM polls WHERE id = $1 FOR UPDATE',
+        option: 'SELECT id, poll_id, hidden_at FROM poll_options WHERE id = $1 FOR UPDATE',
+        image: `
+      SELECT poi.id, po.poll_id, poi.option_id, poi.hidden_at, poi.image_url, poi.storage_key, poi.is_primary
+      FROM poll_option_images poi
+      JOIN poll_options po ON poi.option_id = po.id
+      WHERE poi.id = $1
+      FOR UPDATE OF poi
+    `
+    };
+
+    const result = await db.query(queries[targetType], [targetId]);
+    return result.rows[0] || null;
+};
+
+// Hide, restore or remove a poll, option or image, recording the moderator's reason
+// Hiding or removing content resolves its open reports
+// Resolves to { pollId } or { status, error }
+const moderateContent = async ({ targetType, targetId, action, reason, moderatorId, reportId = null }) => {
+    const { table, reportColumn, label } = TARGETS[targetType];
+    const client = await pool.connect();
+    let target;
+
+    try {
+        await client.query('BEGIN');
+
+        target = await findTarget(targetType, targetId, client);
+        if (!target) {
+            await client.query('ROLLBACK');
+            return { status: 404, error: `${label} not found` };
+        }
+
+        if (action === 'restore' && !target.hidden_at) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: `${label} is not hidden` };
+        }
+
+        if (action === 'remove' && targetType === 'option') {
+            await client.query('ROLLBACK');
+            return { status: 400, error: 'Poll options cannot be removed; hide the option or remove the poll instead' };
+        }
+
+        if (action === 'hide') {
+            await client.query(`
+        UPDATE ${table} SET hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP), hidden_reason = $2 WHERE id = $1
+      `, [targetId, reason]);
+        } else if (action === 'restore') {
+            await client.query(`
+        UPDATE ${table} SET hidden_at = NULL, hidden_reason = NULL WHERE id = $1
+      `, [targetId]);
+        }
+
+        if (action !== 'restore') {
+            await client.query(`
+        UPDATE content_reports
+        SET status = 'resolved', resolution = $3, resolved_by = $4, resolved_at = CURRENT_TIMESTAMP
+        WHERE ${reportColumn} = $1 AND target_type = $2 AND status = 'open'
+      `, [targetId, targetType, action, moderatorId]);
+        }
+
+        await client.query(`
+      INSERT INTO moderation_actions (moderator_id, target_type, target_id, poll_id, report_id, action, reason)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [moderatorId, targetType, targetId, target.poll_id, reportId, action, reason]);
+
+        if (action === 'remove' && targetType === 'image') {
+            await client.query('DELETE FROM poll_option_images WHERE id = $1', [targetId]);
+
+            // Close the gap in the order, and promote the first remaining image if needed
+            await client.query(`
+        UPDATE poll_option_images poi
+        SET display_order = ordered.position,
+            is_primary = CASE WHEN $2 THEN ordered.position = 0 ELSE poi.is_primary END
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY display_order, created_at) - 1 as position
+          FROM poll_option_images
+          WHERE option_id = $1
+        ) ordered
+        WHERE poi.id = ordered.id
+      `, [target.option_id, target.is_primary]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    if (action === 'remove' && targetType === 'poll') {
+        await deletePoll(target.poll_id);
+        return { pollId: target.poll_id };
+    }
+
+    await refreshPollResults(target.poll_id);
+
+    if (action === 'remove' && targetType === 'image') {
+        await deleteUnusedImages([{ url: target.image_url, storageKey: target.storage_key }]);
+    }
+
+    return { pollId: target.poll_id };
+};
+
+// Close a report without acting on its content, recording the moderator's reason
+// Resolves to { report } or { status, error }
+const dismissReport = async ({ reportId, reason, moderatorId }) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+      UPDATE content_reports
+      SET status = 'dismissed', resolution = 'dismiss', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'open'
+      RETURNING id, target_type, poll_id, option_id, image_id, status
+    `, [reportId, moderatorId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            const existing = await pool.query('SELECT id FROM content_reports WHERE id = $1', [reportId]);
+            return existing.rows.length === 0
+                ? { status: 404, error: 'Report not found' }
+                : { status: 409, error: 'This report has already been closed' };
+        }
+
+        const report = result.rows[0];
+
+        await client.query(`
+      INSERT INTO moderation_actions (moderator_id, target_type, target_id, poll_id, report_id, action, reason)
+      VALUES ($1, $2, $3, $4, $5, 'dismiss', $6)
+    `, [moderatorId, report.target_type, report.image_id || report.option_id || report.poll_id, report.poll_id, report.id, reason]);
+
+        await client.query('COMMIT');
+
+        return { report };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    MODERATION_ACTIONS,
+    TARGETS,
+    visibleOptionTextSql,
+    visibleOptionDescriptionSql,
+    moderationNotice,
+    moderateContent,
+    dismissReport
+};
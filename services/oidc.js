@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { storeEphemeral, consumeEphemeral } = require('../config/redis');
+
+// Single sign-on through one OpenID Connect provider (authorization code flow with PKCE)
+//   OIDC_ISSUER         issuer URL; endpoints come from its /.well-known/openid-configuration
+//   OIDC_DISCOVERY_URL  optional, when the discovery document lives elsewhere (e.g. a mock issuer in Docker)
+//   OIDC_CLIENT_ID      client registered with the provider
+//   OIDC_CLIENT_SECRET  optional, leave unset for public clients
+//   OIDC_REDIRECT_URI   this API's callback (GET /api/auth/oidc/callback)
+//   OIDC_SCOPES         defaults to "openid email profile"
+//   OIDC_PROVIDER       name stored with linked identities and shown to users (defaults to "sso")
+const getOidcConfig = () => {
+    if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID) {
+        return null;
+    }
+
+    const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+    return {
+        provider: process.env.OIDC_PROVIDER || 'sso',
+        issuer,
+        discoveryUrl: process.env.OIDC_DISCOVERY_URL || `${issuer}/.well-known/openid-configuration`,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+        redirectUri: process.env.OIDC_REDIRECT_URI
+            || `http://localhost:${process.env.PORT || 3000}/api/auth/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid email profile'
+    };
+};
+
+// How long a user has to finish signing in at the provider
+const STATE_TTL_SECONDS = 10 * 60;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Signing algorithms accepted for ID tokens (never "none" or HMAC with a shared secret)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discovery = null;
+let jwks = null;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Provider metadata from the discovery document (cached for an hour)
+const getProviderMetadata = async (config) => {
+    if (!discovery || Date.now() - discovery.fetchedAt > DISCOVERY_TTL_MS) {
+        const response = await axios.get(config.discoveryUrl, { timeout: HTTP_TIMEOUT_MS });
+        discovery = { metadata: response.data, fetchedAt: Date.now() };
+        jwks = null;
+    }
+    return discovery.metadata;
+};
+
+// Public key for an ID token signature; the key set is fetched again when a key id is unknown,
+// since providers rotate their keys
+const getSigningKey = async (metadata, kid) => {
+    const findKey = () => jwks && jwks.keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+    if (!findKey()) {
+        const response = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+        jwks = { keys: response.data.keys || [] };
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+        throw new Error(`No signing key found for kid ${kid}`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token's signature, issuer, audience and expiry; resolves to its claims
+const verifyIdToken = async (idToken, config, metadata) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('ID token is not a JWT');
+    }
+
+    const key = await getSigningKey(metadata, decoded.header.kid);
+    return jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer || config.issuer,
+        audience: config.clientId
+    });
+};
+
+// Start signing in at the provider; resolves to the URL to send the browser to,
+// or null if the sign-in state couldn't be stored (Redis unavailable)
+// mode 'login' signs in (creating an account if needed); mode 'link' links the identity to userId
+const createAuthorizationUrl = async ({ mode, userId = null }) => {
+    const config = getOidcConfig();
+    const metadata = await getProviderMetadata(config);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const stored = await storeEphemeral(`oidc_state:${state}`, { mode, userId, nonce, codeVerifier }, STATE_TTL_SECONDS);
+    if (!stored) {
+        return null;
+    }
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', config.redirectUri);
+    url.searchParams.set('scope', config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+};
+
+// Finish signing in: check the state, exchange the code and verify the ID token
+// Resolves to { mode, userId, identity: { subject, email, emailVerified, name } } or { status, error }
+const completeAuthorization = async ({ code, state }) => {
+    const config = getOidcConfig();
+    const pending = state ? await consumeEphemeral(`oidc_state:${state}`) : null;
+    if (!pending || !code) {
+        return { status: 400, error: 'Sign-in request expired or is invalid, please try again' };
+    }
+
+    const metadata = await getProviderMetadata(config);
+
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        code_verifier: pending.codeVerifier
+    });
+    if (config.clientSecret) {
+        params.set('client_secret', config.clientSecret);
+    }
+
+    let tokens;
+    try {
+        const response = await axios.post(metadata.token_endpoint, params.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            timeout: HTTP_TIMEOUT_MS
+        });
+        tokens = response.data;
+    } catch (error) {
+        console.error('OIDC token exchange error:', error.response ? error.response.data : error.message);
+        return { status: 502, error: 'Sign-in with the identity provider failed' };
+    }
+
+    let claims;
+    try {
+        if (!tokens.id_token) {
+            throw new Error('Token response has no ID token');
+        }
+        claims = await verifyIdToken(tokens.id_token, config, metadata);
+    } catch (error) {
+        console.error('OIDC ID token error:', error.message);
+        return { status: 502, error: 'The identity provider returned an invalid ID token' };
+    }
+
+    if (claims.nonce !== pending.nonce) {
+        return { status: 400, error: 'Sign-in request expired or is invalid, please try again' };
+    }
+
+    return {
+        mode: pending.mode,
+        userId: pending.userId,
+        identity: {
+            subject: String(claims.sub),
+            email: claims.email || null,
+            // Some providers send the flag as a string
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            name: claims.name || claims.preferred_username || null
+        }
+    };
+};
+
+// Find the user for a provider identity, linking it to the account with the same verified email
+// or creating a new account; resolves to { user } or { status, error }
+const findOrCreateUser = async (identity) => {
+    const { provider } = getOidcConfig();
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const linkedResult = await client.query(`
+      UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($3, email)
+      WHERE provider = $1 AND subject = $2
+      RETURNING user_id
+    `, [provider, identity.subject, identity.email]);
+
+        let userId = linkedResult.rows.length > 0 ? linkedResult.rows[0].user_id : null;
+
+        if (!userId) {
+            // Only a verified address proves the person owns the matching account
+            if (!identity.email) {
+                await client.query('ROLLBACK');
+                return { status: 400, error: 'The identity provider did not share an email address' };
+            }
+            if (!identity.emailVerified) {
+                await client.query('ROLLBACK');
+                return { status: 403, error: 'Your email address is not verified with the identity provider' };
+            }
+
+            const existingResult = await client.query(
+                'SELECT id, email_verified FROM users WHERE LOWER(email) = LOWER($1) FOR UPDATE',
+                [identity.email]
+            );
+
+            if (existingResult.rows.length > 0) {
+                // An unverified account may have been registered by someone else with this address
+                // (who still knows its password), so it is only linked from a signed-in session
+                if (!existingResult.rows[0].email_verified) {
+                    await client.query('ROLLBACK');
+                    return {
+                        status: 409,
+                        error: 'An account with this email address exists but its address is not verified. Sign in with your password and link single sign-on from your account settings'
+                    };
+                }
+
+                userId = existingResult.rows[0].id;
+
+                const alreadyLinked = await client.query(
+                    'SELECT id FROM user_identities WHERE user_id = $1 AND provider = $2',
+                    [userId, provider]
+                );
+                if (alreadyLinked.rows.length > 0) {
+                    await client.query('ROLLBACK');
+                    return { status: 409, error: 'This account is already linked to a different single sign-on identity' };
+                }
+            } else {
+                const createdResult = await client.query(`
+          INSERT INTO users (name, email, password, email_verified)
+          VALUES ($1, $2, NULL, true)
+          RETURNING id
+        `, [(identity.name || identity.email.split('@')[0]).slice(0, 255), identity.email]);
+                userId = createdResult.rows[0].id;
+            }
+
+            await client.query(`
+        INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      `, [userId, provider, identity.subject, identity.email]);
+        }
+
+        const userResult = await client.query(
+            'SELECT id, name, email, email_verified, role, suspended_at, created_at FROM users WHERE id = $1',
+            [userId]
+        );
+
+        await client.query('COMMIT');
+
+        return { user: userResult.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Link a provider identity to a signed-in user; resolves to { identity } or { status, error }
+const linkIdentity = async (userId, identity) => {
+    const { provider } = getOidcConfig();
+
+    const result = await pool.query(`
+      INSERT INTO user_identities (user_id, provider, subject, email)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT DO NOTHING
+      RETURNING id, provider, email, created_at
+    `, [userId, provider, identity.subject, identity.email]);
+
+    if (result.rows.length === 0) {
+        const existing = await pool.query(
+            'SELECT user_id FROM user_identities WHERE provider = $1 AND subject = $2',
+            [provider, identity.subject]
+        );
+        if (existing.rows.length > 0 && existing.rows[0].user_id === userId) {
+            return { status: 409, error: 'This identity is already linked to your account' };
+        }
+        return existing.rows.length > 0
+            ? { status: 409, error: 'This identity is already linked to another account' }
+            : { status: 409, error: 'Your account is already linked to a different single sign-on identity' };
+    }
+
+    return { identity: result.rows[0] };
+};
+
+module.exports = {
+    getOidcConfig,
+    createAuthorizationUrl,
+    completeAuthorization,
+    findOrCreateUser,
+    linkIdentity
+};
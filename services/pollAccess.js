@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+// public: listed for everyone, unlisted: reachable by link only, private: needs an invite
+const POLL_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Characters for access codes (no 0/O or 1/I to keep them easy to read out)
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Generate a shareable access code
+const generateAccessCode = (length = 8) => {
+    const bytes = crypto.randomBytes(length);
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += ACCESS_CODE_ALPHABET[bytes[i] % ACCESS_CODE_ALPHABET.length];
+    }
+    return code;
+};
+
+// Sign an invite token for an invite row (expires with the invite, if it does)
+const signInviteToken = (invite) => {
+    const options = {};
+    if (invite.expires_at) {
+        options.expiresIn = Math.max(1, Math.floor((new Date(invite.expires_at).getTime() - Date.now()) / 1000));
+    }
+    return jwt.sign(
+        {
+            type: 'poll_invite',
+            pollId: invite.poll_id,
+            inviteId: invite.id
+        },
+        process.env.JWT_SECRET,
+        options
+    );
+};
+
+// Shareable link for an invite token
+const buildInviteLink = (pollId, token) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
+    return `${frontendUrl}/polls/${pollId}?invite=${encodeURIComponent(token)}`;
+};
+
+// Read the invite token or access code a request carries (headers or query string)
+const getInviteCredentials = (req) => ({
+    token: req.get('X-Poll-Invite') || req.query.invite || null,
+    code: req.get('X-Poll-Access-Code') || req.query.accessCode || null
+});
+
+// Find a usable (not revoked, expired or used up) invite for a poll by token or code
+const findValidInvite = async (pollId, { token, code }, db = pool) => {
+    let inviteId = null;
+
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.type === 'poll_invite' && decoded.pollId === pollId) {
+                inviteId = decoded.inviteId;
+            }
+        } catch (error) {
+            // Invalid or expired token - fall through to the access code
+        }
+    }
+
+    if (!inviteId && !code) {
+        return null;
+    }
+
+    const result = await db.query(`
+    SELECT id, poll_id, max_uses, use_count
+    FROM poll_invites
+    WHERE poll_id = $1
+      AND ${inviteId ? 'id = $2' : 'code = UPPER($2)'}
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      AND (max_uses IS NULL OR use_count < max_uses)
+  `, [pollId, inviteId || code]);
+
+    return result.rows[0] || null;
+};
+
+// Whether a voter ({ userId } or { guestId }) has redeemed an invite to a poll
+const hasAccessGrant = async (pollId, voter, db = pool) => {
+    const voterColumn = voter.guestId ? 'guest_id' : 'user_id';
+    const result = await db.query(`
+    SELECT 1 FROM poll_access_grants
+    WHERE poll_id = $1 AND ${voterColumn} = $2
+  `, [pollId, voter.guestId || voter.userId]);
+
+    return result.rows.length > 0;
+};
+
+// The voter a request comes from, if any ({ userId } or { guestId })
+const getRequestVoter = (req) => {
+    if (req.user) {
+        return { userId: req.user.userId };
+    }
+    return req.guest ? { guestId: req.guest.guestId } : null;
+};
+
+// Check whether a request may see a poll (poll needs id, visibility and creator_id)
+// This only reads: presenting a usable invite is enough to look at a private poll, but voting
+// redeems it (see redeemPollInvite), after which the voter no longer needs to present it
+const canAccessPoll = async (poll, req, db = pool) => {
+    if (poll.visibility !== 'private') {
+        return true;
+    }
+
+    const voter = getRequestVoter(req);
+    if (voter && voter.userId && voter.userId === poll.creator_id) {
+        return true;
+    }
+
+    if (voter && await hasAccessGrant(poll.id, voter, db)) {
+        return true;
+    }
+
+    return Boolean(await findValidInvite(poll.id, getInviteCredentials(req), db));
+};
+
+// Redeem the invite a request carries for a voter ({ userId } or { guestId }), granting them lasting access
+// Each voter uses up an invite once, guests included, so max_uses caps how many voters it lets in.
+// Returns false when the voter has no access and no usable invite.
+// Run it inside a transaction: the grant is written before the invite is counted
+const redeemPollInvite = async (poll, voter, req, db) => {
+    if (poll.visibility !== 'private') {
+        return true;
+    }
+    if (voter.userId && voter.userId === poll.creator_id) {
+        return true;
+    }
+    if (await hasAccessGrant(poll.id, voter, db)) {
+        return true;
+    }
+
+    const invite = await findValidInvite(poll.id, getInviteCredentials(req), db);
+    if (!invite) {
+        return false;
+    }
+
+    const voterColumn = voter.guestId ? 'guest_id' : 'user_id';
+    const grantResult = await db.query(`
+    INSERT INTO poll_access_grants (poll_id, ${voterColumn}, invite_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (poll_id, ${voterColumn}) DO NOTHING
+    RETURNING id
+  `, [poll.id, voter.guestId || voter.userId, invite.id]);
+
+    // Redeemed by a concurrent request from the same voter
+    if (grantResult.rows.length === 0) {
+        return true;
+    }
+
+    const redeemResult = await db.query(`
+    UPDATE poll_invites
+    SET use_count = use_count + 1
+    WHERE id = $1 AND (max_uses IS NULL OR use_count < max_uses)
+    RETURNING id
+  `, [invite.id]);
+
+    return redeemResult.rows.length > 0;
+};
+
+module.exports = {
+    POLL_VISIBILITIES,
+    generateAccessCode,
+    signInviteToken,
+    buildInviteLink,
+    canAccessPoll,
+    redeemPollInvite
+};
@@ -0,0 +1,43 @@
+const { pool } = require('../config/database');
+const { deleteImages } = require('./storage');
+
+// Remove images ({ url, storageKey }) from media storage unless a poll or template still uses them
+// (duplicated polls and templates share the stored images of the poll they were made from)
+const deleteUnusedImages = async (images, db = pool) => {
+    if (images.length === 0) {
+        return;
+    }
+
+    const usedResult = await db.query(`
+      SELECT url FROM unnest($1::text[]) url
+      WHERE EXISTS (SELECT 1 FROM polls WHERE image_url = url)
+        OR EXISTS (SELECT 1 FROM poll_option_images WHERE image_url = url)
+        OR EXISTS (SELECT 1 FROM poll_templates WHERE image_urls @> ARRAY[url])
+    `, [images.map(image => image.url)]);
+
+    const used = new Set(usedResult.rows.map(row => row.url));
+    await deleteImages(images.filter(image => !used.has(image.url)));
+};
+
+// Delete a poll (votes, options and invites go with it through ON DELETE CASCADE)
+// and remove its cover and option images from media storage
+const deletePoll = async (pollId, db = pool) => {
+    // Collect the poll's images first so they can be removed from storage afterwards
+    const imagesResult = await db.query(`
+      SELECT image_url as url, image_storage_key as storage_key FROM polls WHERE id = $1 AND image_url IS NOT NULL
+      UNION ALL
+      SELECT poi.image_url, poi.storage_key
+      FROM poll_option_images poi
+      JOIN poll_options po ON poi.option_id = po.id
+      WHERE po.poll_id = $1
+    `, [pollId]);
+
+    await db.query('DELETE FROM polls WHERE id = $1', [pollId]);
+
+    await deleteUnusedImages(imagesResult.rows.map(img => ({ url: img.url, storageKey: img.storage_key })), db);
+};
+
+module.exports = {
+    deletePoll,
+    deleteUnusedImages
+};
@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+
+// In-process poll lifecycle events for other features to hook into
+// poll:opened and poll:closed fire once per poll across all instances (only the scheduler
+// run that claims the poll emits them), with { pollId, title, creatorId, at }
+const pollEvents = new EventEmitter();
+
+// Emit an event without letting a failing listener break the caller
+const emitPollEvent = (event, payload) => {
+    try {
+        pollEvents.emit(event, payload);
+    } catch (error) {
+        console.error(`Poll event listener error (${event}):`, error);
+    }
+};
+
+module.exports = {
+    pollEvents,
+    emitPollEvent
+};
@@ -0,0 +1,169 @@
+// Parse bulk poll import files into poll objects shaped like the POST /api/polls pollData
+//
+// JSON: an array of polls, or { "polls": [...] }; each poll is numbered by its position (from 1).
+// CSV: a header row, then one poll per row. Columns are named like the pollData fields
+// (title, description, endDate, pollType, allowGuestVotes, category...), tags (separated by commas or |),
+// coverImageUrl and, for each option n (1-10), optionN, optionNDescription and optionNImageUrls
+// (URLs separated by spaces or |).
+// Empty cells are left out so defaults apply; rows are numbered like spreadsheet rows (first poll = 2).
+const MAX_OPTIONS = 10;
+const OPTION_COLUMN_PATTERN = /^option(\d+)(Description|ImageUrls)?$/;
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// Split CSV text (RFC 4180) into rows of cells
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted value');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+const isBlankRow = (cells) => cells.every(value => value.trim() === '');
+
+// Turn one CSV row into pollData
+const csvRowToPoll = (headers, cells) => {
+    const poll = {};
+    const options = [];
+
+    headers.forEach((header, index) => {
+        const value = (cells[index] || '').trim();
+        if (value === '') {
+            return;
+        }
+
+        if (header === 'tags') {
+            poll.tags = value.split(/[,|]/).map(tag => tag.trim()).filter(Boolean);
+            return;
+        }
+
+        const optionColumn = header.match(OPTION_COLUMN_PATTERN);
+        if (!optionColumn) {
+            poll[header] = value;
+            return;
+        }
+
+        const position = parseInt(optionColumn[1]) - 1;
+        options[position] = options[position] || {};
+        if (optionColumn[2] === 'Description') {
+            options[position].description = value;
+        } else if (optionColumn[2] === 'ImageUrls') {
+            options[position].imageUrls = value.split(/[\s|]+/).filter(Boolean);
+        } else {
+            options[position].text = value;
+        }
+    });
+
+    // Options keep their column order; gaps (option1, option3) close up
+    poll.options = options.filter(Boolean);
+    return poll;
+};
+
+// Returns { polls: [{ row, data }] } or { error } when the file itself can't be read
+const parseImportFile = (buffer, format) => {
+    const text = buffer.toString('utf8').replace(/^\ufeff/, '');
+
+    if (format === 'json') {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            return { error: `Invalid JSON: ${error.message}` };
+        }
+
+        const polls = Array.isArray(document) ? document : document && document.polls;
+        if (!Array.isArray(polls)) {
+            return { error: 'JSON imports must be an array of polls or an object with a "polls" array' };
+        }
+        return { polls: polls.map((data, index) => ({ row: index + 1, data })) };
+    }
+
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (rows.length === 0 || isBlankRow(rows[0])) {
+        return { error: 'The CSV file is empty' };
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const badOption = headers
+        .map(header => header.match(OPTION_COLUMN_PATTERN))
+        .find(match => match && (parseInt(match[1]) < 1 || parseInt(match[1]) > MAX_OPTIONS));
+    if (badOption) {
+        return { error: `Unknown column "${badOption[0]}": options are numbered 1 to ${MAX_OPTIONS}` };
+    }
+
+    // Blank lines don't describe a poll, but still count towards the row numbers
+    return {
+        polls: rows.slice(1)
+            .map((cells, index) => ({ row: index + 2, cells }))
+            .filter(({ cells }) => !isBlankRow(cells))
+            .map(({ row, cells }) => ({ row, data: csvRowToPoll(headers, cells) }))
+    };
+};
+
+// Import format of an uploaded file: an explicit format wins, then the file extension and type
+// (uploads with neither a CSV nor a JSON extension or type are refused by multer, see importUpload)
+const detectImportFormat = (file, format) => {
+    if (format) {
+        return IMPORT_FORMATS.includes(format) ? format : null;
+    }
+    if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') {
+        return 'json';
+    }
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+        return 'csv';
+    }
+    return null;
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    parseCsv,
+    parseImportFile,
+    detectImportFormat
+};
@@ -0,0 +1,117 @@
+const { parseCsv, parseImportFile, detectImportFormat } = require('./pollImport');
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+describe('parseCsv', () => {
+    test('splits rows and cells', () => {
+        expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    test('keeps commas and newlines inside quoted values', () => {
+        expect(parseCsv('title,description\n"Lunch, or dinner?","First line\nsecond line"\n')).toEqual([
+            ['title', 'description'],
+            ['Lunch, or dinner?', 'First line\nsecond line']
+        ]);
+    });
+
+    test('reads "" inside quoted values as a quote', () => {
+        expect(parseCsv('"Best ""pizza"" place",""\n')).toEqual([['Best "pizza" place', '']]);
+    });
+
+    test('accepts CRLF and CR line endings', () => {
+        expect(parseCsv('a,b\r\n1,2\r\n3,4\r5,6')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    });
+
+    test('keeps a last row without a line ending and empty trailing cells', () => {
+        expect(parseCsv('a,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+    });
+
+    test('throws on an unterminated quoted value', () => {
+        expect(() => parseCsv('title\n"Never closed\n')).toThrow('CSV has an unterminated quoted value');
+    });
+});
+
+describe('parseImportFile', () => {
+    test('turns CSV rows into polls numbered like spreadsheet rows', () => {
+        const result = parseImportFile(csv([
+            'title,pollType,tags,option1,option1Description,option2,option2ImageUrls',
+            'Lunch?,single,"Food, team|friday",Pizza,With cheese,Sushi,https://a.example/1.png | https://a.example/2.png'
+        ].join('\n')), 'csv');
+
+        expect(result).toEqual({
+            polls: [{
+                row: 2,
+                data: {
+                    title: 'Lunch?',
+                    pollType: 'single',
+                    tags: ['Food', 'team', 'friday'],
+                    options: [
+                        { text: 'Pizza', description: 'With cheese' },
+                        { text: 'Sushi', imageUrls: ['https://a.example/1.png', 'https://a.example/2.png'] }
+                    ]
+                }
+            }]
+        });
+    });
+
+    test('leaves out empty cells and closes gaps between options', () => {
+        const result = parseImportFile(csv('title,description,option1,option2,option3\nLunch?, ,Pizza,,Sushi\n'), 'csv');
+
+        expect(result.polls[0].data).toEqual({
+            title: 'Lunch?',
+            options: [{ text: 'Pizza' }, { text: 'Sushi' }]
+        });
+    });
+
+    test('strips a byte order mark', () => {
+        const result = parseImportFile(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), csv('title,option1\nLunch?,Pizza\n')]), 'csv');
+
+        expect(Object.keys(result.polls[0].data)).toEqual(['title', 'options']);
+    });
+
+    test('skips blank rows but keeps the row numbers of the rows after them', () => {
+        const result = parseImportFile(csv('title,option1\r\nFirst,A\r\n\r\n , \r\nSecond,B\r\n'), 'csv');
+
+        expect(result.polls.map(poll => [poll.row, poll.data.title])).toEqual([[2, 'First'], [5, 'Second']]);
+    });
+
+    test('reports an unterminated quoted value', () => {
+        expect(parseImportFile(csv('title\n"Lunch?\n'), 'csv')).toEqual({ error: 'CSV has an unterminated quoted value' });
+    });
+
+    test('reports option columns outside 1 to 10', () => {
+        expect(parseImportFile(csv('title,option0\nLunch?,Pizza\n'), 'csv'))
+            .toEqual({ error: 'Unknown column "option0": options are numbered 1 to 10' });
+        expect(parseImportFile(csv('title,option11Description\nLunch?,Pizza\n'), 'csv'))
+            .toEqual({ error: 'Unknown column "option11Description": options are numbered 1 to 10' });
+    });
+
+    test('reports an empty CSV file', () => {
+        expect(parseImportFile(csv(''), 'csv')).toEqual({ error: 'The CSV file is empty' });
+        expect(parseImportFile(csv('\n\n'), 'csv')).toEqual({ error: 'The CSV file is empty' });
+    });
+
+    test('reads JSON arrays and { polls } objects, numbering polls from 1', () => {
+        const polls = [{ title: 'First' }, { title: 'Second' }];
+        const expected = { polls: [{ row: 1, data: polls[0] }, { row: 2, data: polls[1] }] };
+
+        expect(parseImportFile(Buffer.from(JSON.stringify(polls)), 'json')).toEqual(expected);
+        expect(parseImportFile(Buffer.from(`\ufeff${JSON.stringify({ polls })}`), 'json')).toEqual(expected);
+    });
+
+    test('reports invalid JSON and JSON without polls', () => {
+        expect(parseImportFile(Buffer.from('[{'), 'json').error).toMatch(/^Invalid JSON: /);
+        expect(parseImportFile(Buffer.from('{"title":"Lunch?"}'), 'json'))
+            .toEqual({ error: 'JSON imports must be an array of polls or an object with a "polls" array' });
+    });
+});
+
+describe('detectImportFormat', () => {
+    test('uses an explicit format first, then the extension and type', () => {
+        expect(detectImportFormat({ originalname: 'polls.csv', mimetype: 'text/csv' }, 'json')).toBe('json');
+        expect(detectImportFormat({ originalname: 'polls.csv', mimetype: 'text/csv' }, 'xml')).toBeNull();
+        expect(detectImportFormat({ originalname: 'POLLS.JSON', mimetype: 'application/octet-stream' })).toBe('json');
+        expect(detectImportFormat({ originalname: 'export', mimetype: 'text/csv' })).toBe('csv');
+        expect(detectImportFormat({ originalname: 'polls.xlsx', mimetype: 'application/octet-stream' })).toBeNull();
+    });
+});
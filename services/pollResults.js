@@ -0,0 +1,118 @@
+const { pool, optionVoteCountSql } = require('../config/database');
+const { clearPollResultsCache, publishPollUpdate } = require('../config/redis');
+
+// Mean, median and spread of the scores each option received in a score poll
+// (resolves to a lookup function from option id to its score statistics)
+const getScoreResults = async (pollId, scoreMin, scoreMax, db = pool) => {
+    const summaryResult = await db.query(`
+    SELECT
+      vs.option_id,
+      AVG(vs.score) as average_score,
+      PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY vs.score) as median_score
+    FROM vote_selections vs
+    JOIN vote_records vr ON vs.vote_id = vr.id
+    WHERE vr.poll_id = $1 AND vs.score IS NOT NULL
+    GROUP BY vs.option_id
+  `, [pollId]);
+
+    const distributionResult = await db.query(`
+    SELECT vs.option_id, vs.score, COUNT(*) as count
+    FROM vote_selections vs
+    JOIN vote_records vr ON vs.vote_id = vr.id
+    WHERE vr.poll_id = $1 AND vs.score IS NOT NULL
+    GROUP BY vs.option_id, vs.score
+  `, [pollId]);
+
+    const counts = new Map();
+    for (const row of distributionResult.rows) {
+        counts.set(`${row.option_id}:${row.score}`, parseInt(row.count));
+    }
+
+    const summaries = new Map(summaryResult.rows.map(row => [row.option_id, row]));
+
+    // Every score in the range is listed, including the ones nobody gave
+    return (optionId) => {
+        const summary = summaries.get(optionId);
+        const scoreDistribution = [];
+        for (let score = scoreMin; score <= scoreMax; score++) {
+            scoreDistribution.push({ score, count: counts.get(`${optionId}:${score}`) || 0 });
+        }
+
+        return {
+            averageScore: summary ? Math.round(parseFloat(summary.average_score) * 100) / 100 : null,
+            medianScore: summary ? parseFloat(summary.median_score) : null,
+            scoreDistribution
+        };
+    };
+};
+
+// Build a lightweight snapshot of a poll's current results
+// (used by the live results stream, so it only carries counts and percentages or scores)
+const getLiveResults = async (pollId, db = pool) => {
+    const optionsResult = await db.query(`
+    SELECT
+      po.id, p.poll_type, p.score_min, p.score_max,
+      ${optionVoteCountSql} as vote_count
+    FROM poll_options po
+    JOIN polls p ON po.poll_id = p.id
+    WHERE po.poll_id = $1
+    ORDER BY po.display_order, po.created_at
+  `, [pollId]);
+
+    const totalVotesResult = await db.query(`
+    SELECT COUNT(*) as total
+    FROM vote_records
+    WHERE poll_id = $1
+  `, [pollId]);
+
+    const totalVotes = parseInt(totalVotesResult.rows[0].total);
+    const totalSelections = optionsResult.rows.reduce((sum, option) => sum + parseInt(option.vote_count), 0);
+    const poll = optionsResult.rows[0] || {};
+    const isMultiple = poll.poll_type === 'multiple';
+    const isScore = poll.poll_type === 'score';
+
+    // Score polls report score statistics instead of percentages
+    const scoreResults = isScore
+        ? await getScoreResults(pollId, poll.score_min, poll.score_max, db)
+        : null;
+
+    return {
+        pollId,
+        totalVotes,
+        // Percentages are the share of ballots that chose each option
+        ...(!isScore && { percentageBasis: 'ballots' }),
+        ...(isMultiple && { totalSelections }),
+        options: optionsResult.rows.map(option => {
+            const voteCount = parseInt(option.vote_count);
+            if (isScore) {
+                return { id: option.id, voteCount, ...scoreResults(option.id) };
+            }
+            return {
+                id: option.id,
+                voteCount,
+                percentage: totalVotes > 0 ? Math.round((voteCount / totalVotes) * 100) : 0,
+                ...(isMultiple && {
+                    selectionPercentage: totalSelections > 0 ? Math.round((voteCount / totalSelections) * 100) : 0
+                })
+            };
+        }),
+        updatedAt: new Date().toISOString()
+    };
+};
+
+// Clear cached poll results and push fresh ones to live subscribers on every instance
+const refreshPollResults = async (pollId) => {
+    await clearPollResultsCache(pollId);
+
+    try {
+        await publishPollUpdate(pollId, await getLiveResults(pollId));
+    } catch (error) {
+        console.error('Failed to publish live results:', error);
+    }
+};
+
+module.exports = {
+    getScoreResults,
+    getLiveResults,
+    refreshPollResults
+};
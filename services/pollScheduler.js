@@ -0,0 +1,110 @@
+const { pool } = require('../config/database');
+const { acquireLock, releaseLock } = require('../config/redis');
+const { refreshPollResults } = require('./pollResults');
+const { emitPollEvent } = require('./pollEvents');
+
+const SCHEDULER_LOCK = 'poll_scheduler';
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.POLL_SCHEDULER_INTERVAL_SECONDS) || 30;
+
+let timer = null;
+let running = false;
+
+// Open scheduled polls whose start date has passed
+// Each UPDATE claims its rows, so a poll is only ever opened (and announced) once
+const openScheduledPolls = async () => {
+    const result = await pool.query(`
+    UPDATE polls
+    SET is_active = true, opened_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE opened_at IS NULL AND start_date <= CURRENT_TIMESTAMP
+    RETURNING id, title, creator_id, opened_at
+  `);
+
+    for (const poll of result.rows) {
+        await refreshPollResults(poll.id);
+        emitPollEvent('poll:opened', { pollId: poll.id, title: poll.title, creatorId: poll.creator_id, at: poll.opened_at });
+    }
+
+    return result.rows.length;
+};
+
+// Deactivate a poll by hand (its creator or a moderator); resolves to the updated poll or null
+// A poll that is still waiting for its start date counts as opened, so the scheduler leaves it closed
+const deactivatePoll = async (pollId, db = pool) => {
+    const result = await db.query(`
+    UPDATE polls
+    SET is_active = false, closed_at = NULL, opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, title, is_active, updated_at
+  `, [pollId]);
+
+    return result.rows[0] || null;
+};
+
+// Close active polls whose end date has passed
+const closeEndedPolls = async () => {
+    const result = await pool.query(`
+    UPDATE polls
+    SET is_active = false, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE is_active = true AND end_date IS NOT NULL AND end_date <= CURRENT_TIMESTAMP
+    RETURNING id, title, creator_id, closed_at
+  `);
+
+    for (const poll of result.rows) {
+        await refreshPollResults(poll.id);
+        emitPollEvent('poll:closed', { pollId: poll.id, title: poll.title, creatorId: poll.creator_id, at: poll.closed_at });
+    }
+
+    return result.rows.length;
+};
+
+// One scheduler pass; only one instance runs it at a time
+const runScheduler = async () => {
+    if (running) {
+        return;
+    }
+    running = true;
+
+    const lockToken = await acquireLock(SCHEDULER_LOCK, SCHEDULER_INTERVAL_SECONDS * 2);
+    try {
+        // Another instance is on it. Without Redis every instance runs, which is still safe
+        // because the updates claim each poll atomically
+        if (lockToken === null) {
+            return;
+        }
+
+        const opened = await openScheduledPolls();
+        const closed = await closeEndedPolls();
+
+        if (opened > 0 || closed > 0) {
+            console.log(`⏰ Poll scheduler opened ${opened} and closed ${closed} poll(s)`);
+        }
+    } catch (error) {
+        console.error('Poll scheduler error:', error);
+    } finally {
+        await releaseLock(SCHEDULER_LOCK, lockToken);
+        running = false;
+    }
+};
+
+// Start the background scheduler (runs once immediately, then every interval)
+const startPollScheduler = () => {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(runScheduler, SCHEDULER_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    runScheduler();
+};
+
+const stopPollScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    deactivatePoll,
+    startPollScheduler,
+    stopPollScheduler,
+    runScheduler
+};
@@ -0,0 +1,74 @@
+const { newDb } = require('pg-mem');
+const { pool } = require('../config/database');
+const { deactivatePoll, runScheduler } = require('./pollScheduler');
+
+// Live results and poll events aren't under test here
+jest.mock('./pollResults');
+jest.mock('./pollEvents');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('poll scheduler', () => {
+    let db;
+
+    beforeEach(async () => {
+        const { Pool } = newDb().adapters.createPg();
+        db = new Pool();
+        await db.query(`
+      CREATE TABLE polls (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        creator_id TEXT,
+        is_active BOOLEAN,
+        start_date TIMESTAMP,
+        end_date TIMESTAMP,
+        opened_at TIMESTAMP,
+        closed_at TIMESTAMP,
+        updated_at TIMESTAMP
+      )
+    `);
+        jest.spyOn(pool, 'query').mockImplementation((...args) => db.query(...args));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // A poll waiting to open at startDate
+    const schedulePoll = (id, startDate) => db.query(`
+    INSERT INTO polls (id, title, creator_id, is_active, start_date)
+    VALUES ($1, $1, 'creator', false, $2)
+  `, [id, startDate]);
+
+    // Move a poll's start into the past, as if its start date had come
+    const reachStart = (id) => db.query('UPDATE polls SET start_date = $2 WHERE id = $1', [id, new Date(Date.now() - HOUR)]);
+
+    const getPoll = async (id) => (await db.query('SELECT is_active, opened_at FROM polls WHERE id = $1', [id])).rows[0];
+
+    test('opens scheduled polls once their start date has passed', async () => {
+        await schedulePoll('due', new Date(Date.now() - HOUR));
+        await schedulePoll('later', new Date(Date.now() + HOUR));
+
+        await runScheduler();
+
+        expect(await getPoll('due')).toEqual({ is_active: true, opened_at: expect.any(Date) });
+        expect(await getPoll('later')).toEqual({ is_active: false, opened_at: null });
+    });
+
+    test('leaves a scheduled poll that was deactivated before its start closed', async () => {
+        await schedulePoll('switched-off', new Date(Date.now() + HOUR));
+
+        await expect(deactivatePoll('switched-off')).resolves.toMatchObject({ id: 'switched-off', is_active: false });
+
+        await reachStart('switched-off');
+        await runScheduler();
+
+        expect((await getPoll('switched-off')).is_active).toBe(false);
+    });
+
+    test('deactivating an unknown poll resolves to null', async () => {
+        await expect(deactivatePoll('missing')).resolves.toBeNull();
+    });
+});
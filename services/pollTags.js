@@ -0,0 +1,69 @@
+const { pool } = require('../config/database');
+
+// Poll categories (one per poll, optional) and free-form tags (up to MAX_POLL_TAGS)
+// Tags are stored normalized: lowercase, with runs of whitespace turned into dashes ("Team Lunch" -> "team-lunch")
+const POLL_CATEGORIES = [
+    'general', 'food', 'entertainment', 'sports', 'technology', 'politics',
+    'education', 'business', 'lifestyle', 'events', 'other'
+];
+const MAX_POLL_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+// SQL expression for a poll's tags, alphabetically (expects polls as p)
+const pollTagsSql = 'ARRAY(SELECT pt.tag FROM poll_tags pt WHERE pt.poll_id = p.id ORDER BY pt.tag)';
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+// Tags from a query string value (comma-separated and/or repeated), normalized and without duplicates;
+// anything that isn't a valid tag is ignored
+const parseTagList = (value) => {
+    const tags = (Array.isArray(value) ? value : [value])
+        .filter(entry => typeof entry === 'string')
+        .flatMap(entry => entry.split(','))
+        .map(normalizeTag)
+        .filter(tag => tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag));
+    return [...new Set(tags)];
+};
+
+// Replace a poll's tags
+const setPollTags = async (pollId, tags, db = pool) => {
+    await db.query('DELETE FROM poll_tags WHERE poll_id = $1', [pollId]);
+
+    if (tags.length > 0) {
+        await db.query(`
+      INSERT INTO poll_tags (poll_id, tag)
+      SELECT $1, unnest($2::text[])
+      ON CONFLICT DO NOTHING
+    `, [pollId, tags]);
+    }
+};
+
+// Tags of listed polls with how many polls use them, most used first
+// (only public polls that are open or were closed by the scheduler count, as in GET /api/polls)
+const getTagCounts = async ({ category = null, prefix = '', limit = 50 } = {}, db = pool) => {
+    const result = await db.query(`
+    SELECT pt.tag, COUNT(*) as poll_count
+    FROM poll_tags pt
+    JOIN polls p ON pt.poll_id = p.id
+    WHERE (p.is_active = true OR p.closed_at IS NOT NULL) AND p.visibility = 'public' AND p.hidden_at IS NULL
+      AND ($1::text IS NULL OR p.category = $1)
+      AND pt.tag LIKE $2
+    GROUP BY pt.tag
+    ORDER BY poll_count DESC, pt.tag
+    LIMIT $3
+  `, [category, `${prefix.replace(/[\\%_]/g, '\\$&')}%`, limit]);
+
+    return result.rows.map(row => ({ tag: row.tag, pollCount: parseInt(row.poll_count) }));
+};
+
+module.exports = {
+    POLL_CATEGORIES,
+    MAX_POLL_TAGS,
+    MAX_TAG_LENGTH,
+    TAG_PATTERN,
+    pollTagsSql,
+    parseTagList,
+    setPollTags,
+    getTagCounts
+};
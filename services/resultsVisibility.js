@@ -0,0 +1,71 @@
+const { pool } = require('../config/database');
+
+// always: everyone, after_vote: once the viewer has voted, after_end: once the poll has ended,
+// creator: only the poll creator (who can always see results)
+const RESULTS_VISIBILITIES = ['always', 'after_vote', 'after_end', 'creator'];
+
+// Fields that reveal vote counts, on polls and on their options
+const RESULT_FIELDS = [
+    'totalVotes', 'total_votes', 'totalSelections', 'percentageBasis',
+    'voteCount', 'vote_count', 'actual_vote_count', 'percentage', 'selectionPercentage',
+    'averageScore', 'medianScore', 'scoreDistribution'
+];
+
+// Check whether a viewer ({ userId, guestId }, either may be missing) may see a poll's results
+// (poll needs id, creator_id, results_visibility, is_active and end_date)
+const canSeeResults = async (poll, viewer = {}, db = pool) => {
+    const visibility = poll.results_visibility || 'always';
+
+    if (visibility === 'always') {
+        return true;
+    }
+
+    if (viewer.userId && viewer.userId === poll.creator_id) {
+        return true;
+    }
+
+    if (visibility === 'after_end') {
+        return !poll.is_active || Boolean(poll.end_date && new Date(poll.end_date) <= new Date());
+    }
+
+    if (visibility === 'after_vote' && (viewer.userId || viewer.guestId)) {
+        const voteResult = await db.query(`
+      SELECT 1 FROM vote_records
+      WHERE poll_id = $1 AND ${viewer.userId ? 'user_id' : 'guest_id'} = $2
+      LIMIT 1
+    `, [poll.id, viewer.userId || viewer.guestId]);
+
+        return voteResult.rows.length > 0;
+    }
+
+    return false;
+};
+
+// Strip vote counts from a poll (or live results snapshot) and its options
+const hideResults = (poll) => {
+    const stripped = { ...poll, resultsHidden: true };
+    RESULT_FIELDS.forEach(field => delete stripped[field]);
+
+    if (Array.isArray(poll.options)) {
+        stripped.options = poll.options.map(option => {
+            const strippedOption = { ...option };
+            RESULT_FIELDS.forEach(field => delete strippedOption[field]);
+            return strippedOption;
+        });
+    }
+
+    return stripped;
+};
+
+// The viewer of a request (signed-in user or guest voter)
+const getViewer = (req) => ({
+    userId: req.user ? req.user.userId : null,
+    guestId: req.guest ? req.guest.guestId : null
+});
+
+module.exports = {
+    RESULTS_VISIBILITIES,
+    canSeeResults,
+    hideResults,
+    getViewer
+};
@@ -0,0 +1,31 @@
+// Account roles, from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
+// What each permission allows and which roles have it
+const PERMISSIONS = {
+    // List, search and view user accounts
+    'users:read': ['admin'],
+    // Suspend and unsuspend accounts
+    'users:suspend': ['admin'],
+    // See and lift sign-in lockouts after repeated failed attempts
+    'users:unlock': ['admin'],
+    // Change a user's role
+    'users:manage_roles': ['admin'],
+    // Review reports and hide, restore or remove reported content
+    'content:moderate': ['moderator', 'admin'],
+    // Deactivate any poll, not just your own
+    'polls:deactivate_any': ['moderator', 'admin'],
+    // Delete any poll, not just your own
+    'polls:delete_any': ['admin']
+};
+
+// Whether a role has a permission (unknown roles have none)
+const hasPermission = (role, permission) => {
+    return Boolean(PERMISSIONS[permission] && PERMISSIONS[permission].includes(role));
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission
+};
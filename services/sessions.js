@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { revokeSessionTokens, isSessionMarkedRevoked, onRedisReady } = require('../config/redis');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, single-use and rotated on every refresh
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Sign an access token for a user ({ id, email, name, role }) in a session
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role || 'user',
+        sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+// Start a session for a user who just signed in
+// Resolves to { sessionId, accessToken, refreshToken, expiresIn }
+const createSession = async (user, req, db = pool) => {
+    const refreshToken = generateRefreshToken();
+
+    const result = await db.query(`
+      WITH session AS (
+        INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4))
+        RETURNING id
+      )
+      INSERT INTO refresh_tokens (session_id, token_hash)
+      SELECT id, $5 FROM session
+      RETURNING session_id
+    `, [user.id, req.get('User-Agent') || null, req.ip || null, REFRESH_TOKEN_TTL_DAYS, hashToken(refreshToken)]);
+
+    const sessionId = result.rows[0].session_id;
+
+    return {
+        sessionId,
+        accessToken: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+// Revoke a user's sessions: all of them, one ({ sessionId }) or all but one ({ exceptSessionId })
+// Resolves to the ids of the sessions that were revoked
+const revokeSessions = async (userId, { sessionId = null, exceptSessionId = null, reason }, db = pool) => {
+    const result = await db.query(`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $4
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND ($2::uuid IS NULL OR id = $2)
+        AND ($3::uuid IS NULL OR id <> $3)
+      RETURNING id
+    `, [userId, sessionId, exceptSessionId, reason]);
+
+    const sessionIds = result.rows.map(row => row.id);
+    await revokeSessionTokens(sessionIds, ACCESS_TOKEN_TTL_SECONDS);
+    return sessionIds;
+};
+
+// Whether Redis holds every revocation its answers depend on (see markRecentRevocations)
+let revocationsMarked = false;
+
+// Sessions revoked while Redis was unreachable never got marked there, so whenever Redis (re)connects,
+// every session revoked within an access token lifetime is marked again
+const markRecentRevocations = async (db = pool) => {
+    revocationsMarked = false;
+    try {
+        const result = await db.query(`
+      SELECT id FROM user_sessions
+      WHERE revoked_at > CURRENT_TIMESTAMP - make_interval(secs => $1)
+    `, [ACCESS_TOKEN_TTL_SECONDS]);
+
+        revocationsMarked = await revokeSessionTokens(result.rows.map(row => row.id), ACCESS_TOKEN_TTL_SECONDS);
+    } catch (error) {
+        console.error('Failed to mark revoked sessions in Redis:', error);
+    }
+};
+
+onRedisReady(() => markRecentRevocations());
+
+// Whether a session's access tokens have stopped working
+// Redis answers once it holds every recent revocation; until then, or while it is unavailable,
+// the database does, so revoked sessions stay out
+const isSessionRevoked = async (sessionId, db = pool) => {
+    const marked = revocationsMarked ? await isSessionMarkedRevoked(sessionId) : null;
+    if (marked !== null) {
+        return marked;
+    }
+
+    const result = await db.query('SELECT revoked_at FROM user_sessions WHERE id = $1', [sessionId]);
+    return result.rows.length === 0 || result.rows[0].revoked_at !== null;
+};
+
+// Exchange a refresh token for a new access token and refresh token
+// Resolves to { user, sessionId, accessToken, refreshToken, expiresIn } or { status, error }
+// Refresh tokens are single-use: presenting one that was already exchanged means it was copied,
+// so the whole session is revoked and both holders have to sign in again
+const rotateRefreshToken = async (refreshToken, req) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+      SELECT rt.id, rt.used_at, s.id as session_id, s.revoked_at, s.expires_at,
+        u.id as user_id, u.name, u.email, u.email_verified, u.role, u.suspended_at, u.created_at
+      FROM refresh_tokens rt
+      JOIN user_sessions s ON rt.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt, s
+    `, [hashToken(refreshToken)]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { status: 401, error: 'Invalid refresh token' };
+        }
+
+        const row = result.rows[0];
+
+        if (row.used_at) {
+            let revoked = [];
+            if (!row.revoked_at) {
+                const revokeResult = await client.query(`
+          UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+          WHERE id = $1
+          RETURNING id
+        `, [row.session_id]);
+                revoked = revokeResult.rows.map(session => session.id);
+            }
+            await client.query('COMMIT');
+            await revokeSessionTokens(revoked, ACCESS_TOKEN_TTL_SECONDS);
+            return { status: 401, error: 'Refresh token has already been used, please sign in again' };
+        }
+
+        if (row.revoked_at || new Date(row.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return { status: 401, error: 'Session has expired, please sign in again' };
+        }
+
+        if (row.suspended_at) {
+            await client.query('ROLLBACK');
+            return { status: 403, error: 'This account has been suspended' };
+        }
+
+        const nextRefreshToken = generateRefreshToken();
+
+        await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+        await client.query(
+            'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+            [row.session_id, hashToken(nextRefreshToken)]
+        );
+
+        // Sessions stay alive while they are in use
+        await client.query(`
+      UPDATE user_sessions
+      SET last_used_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + make_interval(days => $2),
+        user_agent = COALESCE($3, user_agent), ip_address = COALESCE($4, ip_address)
+      WHERE id = $1
+    `, [row.session_id, REFRESH_TOKEN_TTL_DAYS, req.get('User-Agent') || null, req.ip || null]);
+
+        await client.query('COMMIT');
+
+        const user = {
+            id: row.user_id,
+            name: row.name,
+            email: row.email,
+            email_verified: row.email_verified,
+            role: row.role,
+            created_at: row.created_at
+        };
+
+        return {
+            user,
+            sessionId: row.session_id,
+            accessToken: signAccessToken(user, row.session_id),
+            refreshToken: nextRefreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Short description of the device behind a user agent, e.g. "Firefox on Windows"
+const describeDevice = (userAgent) => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+        ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+    ];
+    const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+    const system = (systems.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+};
+
+// A user's active (not revoked or expired) sessions, most recently used first
+const listSessions = async (userId, db = pool) => {
+    const result = await db.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [userId]);
+
+    return result.rows.map(session => ({
+        id: session.id,
+        device: describeDevice(session.user_agent),
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at
+    }));
+};
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    createSession,
+    rotateRefreshToken,
+    revokeSessions,
+    isSessionRevoked,
+    markRecentRevocations,
+    listSessions
+};
@@ -0,0 +1,77 @@
+jest.mock('../config/redis');
+
+const redis = require('../config/redis');
+const { isSessionRevoked, markRecentRevocations } = require('./sessions');
+
+// Stands in for user_sessions: revokedIds were revoked (recently), every other session is active
+const createSessionTable = (revokedIds) => ({
+    query: jest.fn(async (sql, params) => {
+        if (sql.includes('WHERE id = $1')) {
+            return { rows: [{ revoked_at: revokedIds.includes(params[0]) ? new Date() : null }] };
+        }
+        return { rows: revokedIds.map(id => ({ id })) };
+    })
+});
+
+describe('isSessionRevoked', () => {
+    // What Redis has marked as revoked (null when Redis is unreachable)
+    let marked;
+
+    beforeEach(() => {
+        marked = new Set();
+        redis.isSessionMarkedRevoked.mockImplementation(async (sessionId) => (marked ? marked.has(sessionId) : null));
+        redis.revokeSessionTokens.mockImplementation(async (sessionIds) => {
+            if (!marked) {
+                return false;
+            }
+            sessionIds.forEach(sessionId => marked.add(sessionId));
+            return true;
+        });
+    });
+
+    test('asks the database until Redis holds the recent revocations', async () => {
+        const db = createSessionTable(['revoked']);
+
+        await expect(isSessionRevoked('revoked', db)).resolves.toBe(true);
+        await expect(isSessionRevoked('active', db)).resolves.toBe(false);
+        expect(redis.isSessionMarkedRevoked).not.toHaveBeenCalled();
+    });
+
+    test('marks sessions revoked while Redis was unreachable once it reconnects', async () => {
+        // Revoked in the database only: Redis was down when it happened
+        const db = createSessionTable(['revoked-during-outage']);
+
+        await markRecentRevocations(db);
+
+        expect(marked.has('revoked-during-outage')).toBe(true);
+        await expect(isSessionRevoked('revoked-during-outage', db)).resolves.toBe(true);
+        await expect(isSessionRevoked('active', db)).resolves.toBe(false);
+        // Answered by Redis
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('registers the marking to run whenever Redis becomes ready', () => {
+        expect(redis.onRedisReady).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    test('asks the database while Redis is unreachable', async () => {
+        const db = createSessionTable(['revoked']);
+        await markRecentRevocations(db);
+
+        marked = null;
+
+        await expect(isSessionRevoked('revoked', db)).resolves.toBe(true);
+        await expect(isSessionRevoked('active', db)).resolves.toBe(false);
+    });
+
+    test('keeps asking the database if the revocations could not be marked', async () => {
+        marked = null;
+        const db = createSessionTable(['revoked']);
+        await markRecentRevocations(db);
+
+        // Redis is back, but missed the revocation
+        marked = new Set();
+
+        await expect(isSessionRevoked('revoked', db)).resolves.toBe(true);
+    });
+});
@@ -0,0 +1,43 @@
+const { v2: cloudinary } = require('cloudinary');
+
+// Cloudinary driver (MEDIA_STORAGE=cloudinary, the default)
+const createCloudinaryStorage = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    const upload = (buffer, { folder }) => {
+        return new Promise((resolve, reject) => {
+            cloudinary.uploader.upload_stream(
+                {
+                    folder,
+                    resource_type: 'image',
+                    transformation: [
+                        { width: 800, height: 600, crop: 'limit' },
+                        { quality: 'auto', fetch_format: 'auto' }
+                    ]
+                },
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve({ url: result.secure_url, key: result.public_id });
+                }
+            ).end(buffer);
+        });
+    };
+
+    const remove = async (key) => {
+        await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+    };
+
+    // Public id of an image uploaded before storage keys were recorded
+    const keyFromUrl = (url) => {
+        const match = url.match(/res\.cloudinary\.com\/.+\/upload\/(?:.+?\/)?v\d+\/(.+?)(?:\.[^./]+)?$/);
+        return match ? match[1] : null;
+    };
+
+    return { name: 'cloudinary', upload, remove, keyFromUrl };
+};
+
+module.exports = createCloudinaryStorage;
@@ -0,0 +1,14 @@
+// Image types we accept for upload, with the file extension each is stored under
+// Anything else (notably SVG, which can carry scripts) is refused before it reaches a storage driver
+const IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/avif': '.avif',
+    'image/bmp': '.bmp'
+};
+
+const isAllowedImageType = (mimetype) => Object.prototype.hasOwnProperty.call(IMAGE_TYPES, mimetype);
+
+module.exports = { IMAGE_TYPES, isAllowedImageType };
@@ -0,0 +1,92 @@
+const express = require('express');
+const createCloudinaryStorage = require('./cloudinary');
+const createLocalStorage = require('./local');
+const { isAllowedImageType } = require('./imageTypes');
+
+// Media storage drivers, chosen with MEDIA_STORAGE (defaults to cloudinary)
+// Every driver provides upload(buffer, { folder, mimetype }) -> { url, key }, remove(key)
+// and keyFromUrl(url) for images stored before their keys were recorded
+// The S3 driver is only loaded when it is chosen, so other deployments don't load the AWS SDK
+const drivers = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage,
+    s3: () => require('./s3')()
+};
+
+let storage = null;
+
+// The configured driver (created on first use)
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.MEDIA_STORAGE || 'cloudinary';
+        if (!drivers[name]) {
+            throw new Error(`Unknown MEDIA_STORAGE driver: ${name}`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+// Store an uploaded image; resolves to { url, key }
+// Drivers only ever see the image types in imageTypes.js (uploads are also filtered by multer, see imageFileFilter)
+const uploadImage = async (file, folder = 'voting-app') => {
+    if (!isAllowedImageType(file.mimetype)) {
+        const error = new Error('Only JPEG, PNG, GIF, WebP, AVIF and BMP images are allowed');
+        error.status = 400;
+        throw error;
+    }
+    return getStorage().upload(file.buffer, { folder, mimetype: file.mimetype });
+};
+
+// multer fileFilter for image uploads
+const imageFileFilter = (req, file, cb) => {
+    if (isAllowedImageType(file.mimetype)) {
+        cb(null, true);
+    } else {
+        const error = new Error('Only JPEG, PNG, GIF, WebP, AVIF and BMP images are allowed');
+        error.status = 400;
+        cb(error, false);
+    }
+};
+
+// Remove images ({ url, storageKey }) from storage
+// Best effort: the database rows are already gone, so failures are only logged
+const deleteImages = async (images) => {
+    for (const image of images) {
+        try {
+            const key = image.storageKey || (image.url && getStorage().keyFromUrl(image.url));
+            if (key) {
+                await getStorage().remove(key);
+            }
+        } catch (error) {
+            console.error('Image delete error:', error);
+        }
+    }
+};
+
+// Whether a URL looks like an image in media storage; such URLs can't be attached to a poll by
+// reference, since deleting the poll would delete the image (deleteImages falls back to keyFromUrl)
+const isStoredImageUrl = (url) => Boolean(getStorage().keyFromUrl(url));
+
+// Serve locally stored uploads from the API (only when the local driver is in use)
+const serveLocalUploads = (app) => {
+    if (getStorage().name !== 'local') {
+        return;
+    }
+
+    app.use(createLocalStorage.LOCAL_UPLOADS_ROUTE, express.static(getStorage().directory, {
+        setHeaders: (res) => {
+            // Helmet restricts resources to the same origin; images are loaded by the frontend
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        }
+    }));
+};
+
+module.exports = {
+    getStorage,
+    uploadImage,
+    imageFileFilter,
+    deleteImages,
+    isStoredImageUrl,
+    serveLocalUploads
+};
@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { IMAGE_TYPES } = require('./imageTypes');
+
+// Path the API serves local uploads from (see serveLocalUploads in ./index.js)
+const LOCAL_UPLOADS_ROUTE = '/uploads';
+
+// Local disk driver (MEDIA_STORAGE=local), for development and offline environments
+// Files go to LOCAL_STORAGE_DIR and are served by Express under /uploads
+const createLocalStorage = () => {
+    const directory = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+    const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL
+        || `http://localhost:${process.env.PORT || 3000}${LOCAL_UPLOADS_ROUTE}`).replace(/\/$/, '');
+
+    // Resolve a key inside the storage directory (keys never point outside it)
+    const resolveKey = (key) => {
+        const filePath = path.resolve(directory, key);
+        if (!filePath.startsWith(directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const upload = async (buffer, { folder, mimetype }) => {
+        const key = `${folder}/${crypto.randomUUID()}${IMAGE_TYPES[mimetype]}`;
+        const filePath = resolveKey(key);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+
+        return { url: `${baseUrl}/${key}`, key };
+    };
+
+    const remove = async (key) => {
+        try {
+            await fs.unlink(resolveKey(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    };
+
+    const keyFromUrl = (url) => url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null;
+
+    return { name: 'local', directory, upload, remove, keyFromUrl };
+};
+
+module.exports = createLocalStorage;
+module.exports.LOCAL_UPLOADS_ROUTE = LOCAL_UPLOADS_ROUTE;
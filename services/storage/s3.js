@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { IMAGE_TYPES } = require('./imageTypes');
+
+// S3-compatible driver (MEDIA_STORAGE=s3) for AWS S3, MinIO and similar stores
+// Objects must be publicly readable (e.g. through a bucket policy) for the stored URLs to load in browsers
+const createS3Storage = () => {
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    // Custom endpoints (MinIO etc.) use path-style URLs unless told otherwise
+    const endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/$/, '') : null;
+    const pathStyle = endpoint ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false;
+    const bucketUrl = endpoint
+        ? (pathStyle ? `${endpoint}/${bucket}` : endpoint.replace('://', `://${bucket}.`))
+        : `https://${bucket}.s3.${region}.amazonaws.com`;
+    const publicUrl = (process.env.S3_PUBLIC_URL || bucketUrl).replace(/\/$/, '');
+
+    const client = new S3Client({
+        region,
+        credentials: { accessKeyId, secretAccessKey },
+        ...(endpoint && { endpoint, forcePathStyle: pathStyle })
+    });
+
+    const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+    // Only allowed image types get here (see uploadImage in ./index.js)
+    const upload = async (buffer, { folder, mimetype }) => {
+        const key = `${folder}/${crypto.randomUUID()}${IMAGE_TYPES[mimetype]}`;
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: mimetype
+        }));
+        return { url: `${publicUrl}/${encodeKey(key)}`, key };
+    };
+
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    };
+
+    const keyFromUrl = (url) => url.startsWith(`${publicUrl}/`)
+        ? decodeURIComponent(url.slice(publicUrl.length + 1))
+        : null;
+
+    return { name: 's3', upload, remove, keyFromUrl };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,79 @@
+// Instant-runoff tally for ranked-choice polls
+// optionIds: every option in the poll
+// ballots: arrays of option ids, most preferred first
+const instantRunoff = (optionIds, ballots) => {
+    const remaining = new Set(optionIds);
+    const rounds = [];
+    let winner = null;
+    let tied = [];
+
+    while (remaining.size > 0) {
+        const tallies = new Map([...remaining].map(id => [id, 0]));
+        let exhausted = 0;
+
+        // Each ballot counts for its highest-ranked option still in the race
+        for (const ballot of ballots) {
+            const choice = ballot.find(id => remaining.has(id));
+            if (choice) {
+                tallies.set(choice, tallies.get(choice) + 1);
+            } else {
+                exhausted++;
+            }
+        }
+
+        const activeBallots = ballots.length - exhausted;
+        const round = {
+            round: rounds.length + 1,
+            tallies: [...tallies.entries()]
+                .map(([optionId, votes]) => ({
+                    optionId,
+                    votes,
+                    percentage: activeBallots > 0 ? Math.round((votes / activeBallots) * 10000) / 100 : 0
+                }))
+                .sort((a, b) => b.votes - a.votes),
+            exhaustedBallots: exhausted,
+            eliminated: []
+        };
+        rounds.push(round);
+
+        if (activeBallots === 0) {
+            break;
+        }
+
+        // Majority of the ballots still in play wins
+        const leader = round.tallies[0];
+        if (leader.votes * 2 > activeBallots || remaining.size === 1) {
+            winner = leader.optionId;
+            break;
+        }
+
+        // Find the lowest options, breaking ties by looking back at earlier rounds
+        const lowestVotes = Math.min(...tallies.values());
+        let lowest = [...remaining].filter(id => tallies.get(id) === lowestVotes);
+        for (let i = rounds.length - 2; i >= 0 && lowest.length > 1; i--) {
+            const earlier = new Map(rounds[i].tallies.map(t => [t.optionId, t.votes]));
+            const earlierMin = Math.min(...lowest.map(id => earlier.get(id)));
+            lowest = lowest.filter(id => earlier.get(id) === earlierMin);
+        }
+
+        // Everyone left is tied - no single winner
+        if (lowest.length === remaining.size) {
+            tied = lowest;
+            break;
+        }
+
+        lowest.forEach(id => remaining.delete(id));
+        round.eliminated = lowest;
+    }
+
+    return {
+        winner,
+        tied,
+        totalBallots: ballots.length,
+        rounds
+    };
+};
+
+module.exports = {
+    instantRunoff
+};
@@ -0,0 +1,94 @@
+const { instantRunoff } = require('./tally');
+
+// n copies of a ballot
+const repeat = (n, ballot) => Array.from({ length: n }, () => ballot);
+
+describe('instantRunoff', () => {
+    test('an option with a first-round majority wins straight away', () => {
+        const result = instantRunoff(['a', 'b', 'c'], [
+            ...repeat(3, ['a', 'b']),
+            ...repeat(1, ['b', 'a']),
+            ...repeat(1, ['c'])
+        ]);
+
+        expect(result.winner).toBe('a');
+        expect(result.tied).toEqual([]);
+        expect(result.totalBallots).toBe(5);
+        expect(result.rounds).toHaveLength(1);
+        expect(result.rounds[0].tallies).toEqual([
+            { optionId: 'a', votes: 3, percentage: 60 },
+            { optionId: 'b', votes: 1, percentage: 20 },
+            { optionId: 'c', votes: 1, percentage: 20 }
+        ]);
+        expect(result.rounds[0].eliminated).toEqual([]);
+    });
+
+    test('eliminates the last option each round and transfers its ballots', () => {
+        const result = instantRunoff(['a', 'b', 'c', 'd'], [
+            ...repeat(4, ['a']),
+            ...repeat(3, ['b', 'c']),
+            ...repeat(2, ['c', 'b']),
+            ...repeat(1, ['d', 'c', 'b'])
+        ]);
+
+        expect(result.winner).toBe('b');
+        expect(result.rounds.map(round => round.eliminated)).toEqual([['d'], ['c'], []]);
+        // d's ballot goes to c, then c's three ballots go to b
+        expect(result.rounds[1].tallies.find(t => t.optionId === 'c').votes).toBe(3);
+        expect(result.rounds[2].tallies).toEqual([
+            { optionId: 'b', votes: 6, percentage: 60 },
+            { optionId: 'a', votes: 4, percentage: 40 }
+        ]);
+    });
+
+    test('breaks ties for last place by looking back at earlier rounds', () => {
+        const result = instantRunoff(['a', 'b', 'c', 'd'], [
+            ...repeat(5, ['a']),
+            ...repeat(3, ['b']),
+            ...repeat(2, ['c']),
+            ...repeat(1, ['d', 'c'])
+        ]);
+
+        // b and c both have 3 votes in round 2, but c had fewer in round 1
+        expect(result.rounds[1].tallies.filter(t => t.votes === 3).map(t => t.optionId).sort()).toEqual(['b', 'c']);
+        expect(result.rounds.map(round => round.eliminated)).toEqual([['d'], ['c'], []]);
+        expect(result.winner).toBe('a');
+    });
+
+    test('exhausted ballots drop out of the majority threshold', () => {
+        const result = instantRunoff(['a', 'b', 'c'], [
+            ...repeat(4, ['a']),
+            ...repeat(3, ['b']),
+            ...repeat(2, ['c'])
+        ]);
+
+        // c's ballots rank nothing else, so round 2 is decided on 7 ballots
+        expect(result.winner).toBe('a');
+        expect(result.rounds).toHaveLength(2);
+        expect(result.rounds[1].exhaustedBallots).toBe(2);
+        expect(result.rounds[1].tallies).toEqual([
+            { optionId: 'a', votes: 4, percentage: 57.14 },
+            { optionId: 'b', votes: 3, percentage: 42.86 }
+        ]);
+    });
+
+    test('a tie between every remaining option has no winner', () => {
+        const result = instantRunoff(['a', 'b', 'c'], [
+            ...repeat(2, ['a']),
+            ...repeat(2, ['b']),
+            ...repeat(2, ['c'])
+        ]);
+
+        expect(result.winner).toBeNull();
+        expect(result.tied.sort()).toEqual(['a', 'b', 'c']);
+        expect(result.rounds).toHaveLength(1);
+    });
+
+    test('no ballots means no winner', () => {
+        const result = instantRunoff(['a', 'b'], []);
+
+        expect(result.winner).toBeNull();
+        expect(result.tied).toEqual([]);
+        expect(result.rounds[0].tallies.map(t => t.votes)).toEqual([0, 0]);
+    });
+});
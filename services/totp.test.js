@@ -0,0 +1,68 @@
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('./totp');
+
+// RFC 6238 appendix B: the SHA-1 secret is the ASCII string "12345678901234567890".
+// The RFC lists 8-digit codes; authenticator apps use the last 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    { time: 59, code: '287082' },
+    { time: 1111111109, code: '081804' },
+    { time: 1111111111, code: '050471' },
+    { time: 1234567890, code: '005924' },
+    { time: 2000000000, code: '279037' },
+    { time: 20000000000, code: '353130' }
+];
+
+describe('generateCode', () => {
+    test.each(RFC_VECTORS)('matches the RFC 6238 code at $time', ({ time, code }) => {
+        expect(generateCode(RFC_SECRET, Math.floor(time / 30))).toBe(code);
+    });
+});
+
+describe('verifyCode', () => {
+    test.each(RFC_VECTORS)('accepts the RFC 6238 code at $time and returns its time step', ({ time, code }) => {
+        expect(verifyCode(RFC_SECRET, code, time * 1000)).toBe(Math.floor(time / 30));
+    });
+
+    test('allows one step of clock drift either way, but no more', () => {
+        const now = 1111111111 * 1000;
+        const step = Math.floor(now / 1000 / 30);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), now)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+    });
+
+    test('ignores spaces and rejects malformed codes', () => {
+        expect(verifyCode(RFC_SECRET, '287 082', 59 * 1000)).toBe(1);
+        expect(verifyCode(RFC_SECRET, '28708', 59 * 1000)).toBeNull();
+        expect(verifyCode(RFC_SECRET, '2870821', 59 * 1000)).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef', 59 * 1000)).toBeNull();
+    });
+
+    test('works with generated secrets', () => {
+        const secret = generateSecret();
+        const now = Date.now();
+        const step = Math.floor(now / 1000 / 30);
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(verifyCode(secret, generateCode(secret, step), now)).toBe(step);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    test('describes the secret for authenticator apps', () => {
+        const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ann@example.com', issuer: 'Voting App' }));
+
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/Voting App:ann@example.com');
+        expect(Object.fromEntries(uri.searchParams)).toEqual({
+            secret: RFC_SECRET,
+            issuer: 'Voting App',
+            algorithm: 'SHA1',
+            digits: '6',
+            period: '30'
+        });
+    });
+});
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { storeEphemeral, consumeEphemeral } = require('../config/redis');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+// Optional two-factor authentication with an authenticator app (TOTP) and one-time recovery codes
+//   TOTP_ISSUER          name shown in authenticator apps (defaults to "Voting App")
+//   TOTP_ENCRYPTION_KEY  key for encrypting secrets at rest; defaults to JWT_SECRET, so set it
+//                        if JWT_SECRET may be rotated (existing secrets can't be read with a new key)
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// How long a user has to enter a code after their password, and how many tries they get
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const issuer = () => process.env.TOTP_ISSUER || 'Voting App';
+
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+// AES-256-GCM, stored as iv:tag:ciphertext
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCode = () => {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+        code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Replace a user's recovery codes; resolves to the new codes (the only time they are available)
+const replaceRecoveryCodes = async (userId, db) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    await db.query(`
+      INSERT INTO recovery_codes (user_id, code_hash)
+      SELECT $1, UNNEST($2::varchar[])
+    `, [userId, codes.map(code => hashRecoveryCode(normalizeRecoveryCode(code)))]);
+
+    return codes;
+};
+
+// Whether two-factor authentication is on, and how many recovery codes are left
+const getTwoFactorStatus = async (userId) => {
+    const result = await pool.query(`
+      SELECT u.totp_enabled_at,
+        (SELECT COUNT(*) FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+      FROM users u
+      WHERE u.id = $1
+    `, [userId]);
+
+    const row = result.rows[0];
+    return {
+        enabled: Boolean(row && row.totp_enabled_at),
+        enabledAt: row ? row.totp_enabled_at : null,
+        recoveryCodesRemaining: row && row.totp_enabled_at ? parseInt(row.recovery_codes_remaining) : 0
+    };
+};
+
+// Start enrolling: a new secret waits for confirmation with a code from the app
+// Resolves to { secret, otpauthUri } or { status, error }
+const startEnrollment = async (userId) => {
+    const secret = generateSecret();
+
+    const result = await pool.query(`
+      UPDATE users SET totp_pending_secret = $2
+      WHERE id = $1 AND totp_enabled_at IS NULL
+      RETURNING email
+    `, [userId, encryptSecret(secret)]);
+
+    if (result.rows.length === 0) {
+        return { status: 400, error: 'Two-factor authentication is already enabled' };
+    }
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: result.rows[0].email, issuer: issuer() })
+    };
+};
+
+// Finish enrolling with a code generated from the pending secret
+// Resolves to { recoveryCodes } or { status, error }
+const confirmEnrollment = async (userId, code) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const userResult = await client.query(
+            'SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+            [userId]
+        );
+        const user = userResult.rows[0];
+
+        if (!user || user.totp_enabled_at) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: 'Two-factor authentication is already enabled' };
+        }
+        if (!user.totp_pending_secret) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: 'Start two-factor setup first' };
+        }
+
+        const counter = verifyCode(decryptSecret(user.totp_pending_secret), code);
+        if (counter === null) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: 'Invalid authentication code' };
+        }
+
+        await client.query(`
+      UPDATE users
+      SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+          totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId, counter]);
+
+        const recoveryCodes = await replaceRecoveryCodes(userId, client);
+
+        await client.query('COMMIT');
+
+        return { recoveryCodes };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Check a second factor ({ code } from the app or a { recoveryCode }) for a user with 2FA on
+// Each app code and recovery code is accepted only once; resolves to { method } or null
+const verifySecondFactor = async (userId, { code, recoveryCode }, db = pool) => {
+    if (code) {
+        const userResult = await db.query(
+            'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+            [userId]
+        );
+        if (userResult.rows.length === 0) {
+            return null;
+        }
+
+        const counter = verifyCode(decryptSecret(userResult.rows[0].totp_secret), code);
+        if (counter === null) {
+            return null;
+        }
+
+        // Only moves forward, so a code (or an earlier one) can't be replayed
+        const used = await db.query(`
+      UPDATE users SET totp_last_counter = $2
+      WHERE id = $1 AND (totp_last_counter IS NULL OR totp_last_counter < $2)
+      RETURNING id
+    `, [userId, counter]);
+        return used.rows.length > 0 ? { method: 'totp' } : null;
+    }
+
+    if (recoveryCode) {
+        const used = await db.query(`
+      UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM recovery_codes
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+        FOR UPDATE
+      )
+      RETURNING id
+    `, [userId, hashRecoveryCode(normalizeRecoveryCode(recoveryCode))]);
+        return used.rows.length > 0 ? { method: 'recovery_code' } : null;
+    }
+
+    return null;
+};
+
+// Turn two-factor authentication off; needs a fresh code (or a recovery code, for a lost device)
+// Resolves to {} or { status, error }
+const disableTwoFactor = async (userId, factor) => {
+    const status = await getTwoFactorStatus(userId);
+    if (!status.enabled) {
+        return { status: 400, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!await verifySecondFactor(userId, factor)) {
+        return { status: 400, error: 'Invalid authentication code' };
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(`
+      UPDATE users
+      SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId]);
+        await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+        await client.query('COMMIT');
+
+        return {};
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Replace the recovery codes (the old ones stop working); needs a fresh code from the app
+// Resolves to { recoveryCodes } or { status, error }
+const regenerateRecoveryCodes = async (userId, code) => {
+    const status = await getTwoFactorStatus(userId);
+    if (!status.enabled) {
+        return { status: 400, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!await verifySecondFactor(userId, { code })) {
+        return { status: 400, error: 'Invalid authentication code' };
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const recoveryCodes = await replaceRecoveryCodes(userId, client);
+        await client.query('COMMIT');
+
+        return { recoveryCodes };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// After the first sign-in step, hand out a challenge to present with the second factor
+// Resolves to { challengeToken, expiresIn }, or null if it couldn't be stored (Redis unavailable)
+const createLoginChallenge = async (userId) => {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const stored = await storeEphemeral(`two_factor_challenge:${challengeToken}`, {
+        userId,
+        attempts: 0,
+        expiresAt: Date.now() + CHALLENGE_TTL_SECONDS * 1000
+    }, CHALLENGE_TTL_SECONDS);
+
+    return stored ? { challengeToken, expiresIn: CHALLENGE_TTL_SECONDS } : null;
+};
+
+// Finish signing in with a challenge and a second factor; the challenge is single-use, and is
+// given back after a wrong code until it runs out of attempts
+// Resolves to { userId, method } or { status, error }
+const completeLoginChallenge = async (challengeToken, factor) => {
+    const key = `two_factor_challenge:${challengeToken}`;
+
+    // Taking the challenge out while checking keeps parallel guesses from sharing its attempts
+    const pending = await consumeEphemeral(key);
+    if (!pending) {
+        return { status: 400, error: 'Sign-in request expired or is invalid, please sign in again' };
+    }
+
+    const verified = await verifySecondFactor(pending.userId, factor);
+    if (!verified) {
+        const attempts = pending.attempts + 1;
+        const ttl = Math.floor((pending.expiresAt - Date.now()) / 1000);
+        if (attempts < CHALLENGE_MAX_ATTEMPTS && ttl > 0) {
+            await storeEphemeral(key, { ...pending, attempts }, ttl);
+            return { status: 401, error: 'Invalid authentication code' };
+        }
+        return { status: 401, error: 'Too many invalid codes, please sign in again' };
+    }
+
+    return { userId: pending.userId, method: verified.method };
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    createLoginChallenge,
+    completeLoginChallenge
+};
@@ -0,0 +1,74 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { pool } = require('../config/database');
+const { generateCode } = require('./totp');
+const { startEnrollment, verifySecondFactor } = require('./twoFactor');
+
+// Stands in for the users row of a user with two-factor authentication on
+const createUserTable = (totpSecret) => {
+    let lastCounter = null;
+
+    return {
+        query: async (sql, params) => {
+            if (sql.includes('SELECT totp_secret')) {
+                return { rows: [{ totp_secret: totpSecret }] };
+            }
+            if (sql.includes('UPDATE users SET totp_last_counter')) {
+                if (lastCounter !== null && lastCounter >= params[1]) {
+                    return { rows: [] };
+                }
+                lastCounter = params[1];
+                return { rows: [{ id: params[0] }] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+};
+
+describe('verifySecondFactor', () => {
+    let secret;
+    let users;
+
+    beforeEach(async () => {
+        // Enroll through the service so the secret is stored encrypted, as it is in the database
+        let storedSecret;
+        jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+            storedSecret = params[1];
+            return { rows: [{ email: 'ann@example.com' }] };
+        });
+        ({ secret } = await startEnrollment('user-1'));
+        pool.query.mockRestore();
+
+        users = createUserTable(storedSecret);
+    });
+
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+    test('accepts a current code', async () => {
+        const code = generateCode(secret, currentStep());
+
+        await expect(verifySecondFactor('user-1', { code }, users)).resolves.toEqual({ method: 'totp' });
+    });
+
+    test('rejects the same time step when it is used twice', async () => {
+        const code = generateCode(secret, currentStep());
+
+        await expect(verifySecondFactor('user-1', { code }, users)).resolves.toEqual({ method: 'totp' });
+        await expect(verifySecondFactor('user-1', { code }, users)).resolves.toBeNull();
+    });
+
+    test('rejects an earlier time step once a later one was used', async () => {
+        const step = currentStep();
+
+        await expect(verifySecondFactor('user-1', { code: generateCode(secret, step) }, users))
+            .resolves.toEqual({ method: 'totp' });
+        await expect(verifySecondFactor('user-1', { code: generateCode(secret, step - 1) }, users))
+            .resolves.toBeNull();
+    });
+
+    test('rejects a wrong code', async () => {
+        const code = generateCode(secret, currentStep() + 5);
+
+        await expect(verifySecondFactor('user-1', { code }, users)).resolves.toBeNull();
+    });
+});
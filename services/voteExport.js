@@ -0,0 +1,59 @@
+// Columns and records of a poll's vote export (GET /api/votes/export/:pollId/votes)
+// Polls with anonymous votes never export who voted: no names, emails or guest ids
+
+// What each option column holds for the poll type (single-choice polls get one Option column)
+const selectionValues = {
+    ranked: selection => selection.rank,
+    multiple: () => 1,
+    score: selection => selection.score
+};
+
+// Export columns for a poll (needs poll_type and anonymous_votes) and its options ([{ id, text }])
+const getVoteExportColumns = (poll, options) => {
+    const selectionValue = selectionValues[poll.poll_type || 'single'];
+
+    return [
+        { header: 'Vote ID', value: vote => vote.id },
+        { header: 'Voted at', value: vote => vote.votedAt },
+        { header: 'Voter type', value: vote => (vote.voter.isGuest ? 'guest' : 'account') },
+        ...(poll.anonymous_votes ? [] : [
+            { header: 'Voter name', value: vote => vote.voter.name },
+            { header: 'Voter email', value: vote => vote.voter.email },
+            { header: 'Guest ID', value: vote => vote.voter.guestId }
+        ]),
+        ...(selectionValue
+            ? options.map(option => ({
+                header: option.text,
+                value: (vote) => {
+                    const selection = vote.selections.find(entry => entry.optionId === option.id);
+                    return selection ? selectionValue(selection) : null;
+                }
+            }))
+            : [{ header: 'Option', value: vote => vote.option }])
+    ];
+};
+
+// Export record for a vote row (id, voted_at, guest_id, voter_name, voter_email, option_text and
+// selections as [{ option_id, rank, score }]); optionTexts maps option ids to their text
+const toVoteExportRecord = (poll, vote, optionTexts) => ({
+    id: vote.id,
+    votedAt: vote.voted_at,
+    voter: poll.anonymous_votes ? { isGuest: Boolean(vote.guest_id) }
+        : vote.guest_id ? { isGuest: true, guestId: vote.guest_id }
+            : { isGuest: false, name: vote.voter_name, email: vote.voter_email },
+    ...(selectionValues[poll.poll_type || 'single'] ? {
+        selections: (vote.selections || []).map(selection => ({
+            optionId: selection.option_id,
+            text: optionTexts.get(selection.option_id),
+            ...(selection.rank !== null && { rank: selection.rank }),
+            ...(selection.score !== null && { score: selection.score })
+        }))
+    } : {
+        option: vote.option_text
+    })
+});
+
+module.exports = {
+    getVoteExportColumns,
+    toVoteExportRecord
+};
@@ -0,0 +1,91 @@
+const createCsvWriter = require('./export/csv');
+const createJsonLinesWriter = require('./export/jsonl');
+const { getVoteExportColumns, toVoteExportRecord } = require('./voteExport');
+
+const options = [{ id: 'o1', text: 'Pizza' }, { id: 'o2', text: 'Sushi' }];
+const optionTexts = new Map(options.map(option => [option.id, option.text]));
+const votedAt = new Date(Date.UTC(2024, 0, 1));
+
+// A vote by an account and one by a guest, as the export query returns them
+const voteRows = [
+    {
+        id: 'v1', voted_at: votedAt, guest_id: null, voter_name: 'Ann', voter_email: 'ann@example.com',
+        option_text: 'Pizza', selections: [{ option_id: 'o2', rank: 1, score: null }, { option_id: 'o1', rank: 2, score: null }]
+    },
+    {
+        id: 'v2', voted_at: votedAt, guest_id: 'g1', voter_name: null, voter_email: null,
+        option_text: 'Sushi', selections: [{ option_id: 'o1', rank: 1, score: null }]
+    }
+];
+
+// Run the rows through an export writer, as GET /api/votes/export/:pollId/votes does
+const exportVotes = async (createWriter, poll) => {
+    let output = '';
+    const writer = createWriter(async (text) => {
+        output += text;
+    }, { columns: getVoteExportColumns(poll, options) });
+
+    await writer.begin();
+    for (const row of voteRows) {
+        await writer.row(toVoteExportRecord(poll, row, optionTexts));
+    }
+    await writer.end();
+    return output;
+};
+
+describe('getVoteExportColumns', () => {
+    test('names the voters of polls without anonymous votes', () => {
+        const columns = getVoteExportColumns({ poll_type: 'single', anonymous_votes: false }, options);
+
+        expect(columns.map(column => column.header))
+            .toEqual(['Vote ID', 'Voted at', 'Voter type', 'Voter name', 'Voter email', 'Guest ID', 'Option']);
+    });
+
+    test('leaves out voter name, email and guest id for anonymous polls', () => {
+        const columns = getVoteExportColumns({ poll_type: 'ranked', anonymous_votes: true }, options);
+
+        expect(columns.map(column => column.header)).toEqual(['Vote ID', 'Voted at', 'Voter type', 'Pizza', 'Sushi']);
+    });
+});
+
+describe('toVoteExportRecord', () => {
+    test('keeps who voted for polls without anonymous votes', () => {
+        const poll = { poll_type: 'single', anonymous_votes: false };
+
+        expect(voteRows.map(row => toVoteExportRecord(poll, row, optionTexts))).toEqual([
+            { id: 'v1', votedAt, voter: { isGuest: false, name: 'Ann', email: 'ann@example.com' }, option: 'Pizza' },
+            { id: 'v2', votedAt, voter: { isGuest: true, guestId: 'g1' }, option: 'Sushi' }
+        ]);
+    });
+
+    test('only says whether a guest voted for anonymous polls', () => {
+        const poll = { poll_type: 'ranked', anonymous_votes: true };
+
+        expect(toVoteExportRecord(poll, voteRows[0], optionTexts)).toEqual({
+            id: 'v1',
+            votedAt,
+            voter: { isGuest: false },
+            selections: [{ optionId: 'o2', text: 'Sushi', rank: 1 }, { optionId: 'o1', text: 'Pizza', rank: 2 }]
+        });
+        expect(toVoteExportRecord(poll, voteRows[1], optionTexts).voter).toEqual({ isGuest: true });
+    });
+});
+
+describe('vote exports of anonymous polls', () => {
+    const poll = { poll_type: 'ranked', anonymous_votes: true };
+
+    test('CSV files have no voter details', async () => {
+        const output = await exportVotes(createCsvWriter, poll);
+
+        expect(output).toBe('\ufeffVote ID,Voted at,Voter type,Pizza,Sushi\r\n'
+            + 'v1,2024-01-01T00:00:00.000Z,account,2,1\r\n'
+            + 'v2,2024-01-01T00:00:00.000Z,guest,1,\r\n');
+    });
+
+    test('JSON Lines files have no voter details', async () => {
+        const output = await exportVotes(createJsonLinesWriter, poll);
+
+        expect(output).not.toMatch(/Ann|ann@example\.com|g1/);
+        expect(output.trim().split('\n').map(line => JSON.parse(line).voter)).toEqual([{ isGuest: false }, { isGuest: true }]);
+    });
+});
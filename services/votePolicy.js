@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+
+// Supported vote frequency policies
+// once: a single vote ever, daily: once per calendar day, daily_limit: votes_per_day per day,
+// hourly: once per clock hour, cooldown: unlimited with vote_cooldown_minutes between votes
+const VOTE_FREQUENCIES = ['once', 'daily', 'daily_limit', 'hourly', 'cooldown'];
+
+// Human readable reasons for each policy
+const blockedReasons = {
+    once: () => 'You have already voted in this poll',
+    daily: () => 'You can only vote once per day for this poll',
+    daily_limit: (poll) => `You can only vote ${poll.votes_per_day} times per day for this poll`,
+    hourly: () => 'You can only vote once per hour for this poll',
+    cooldown: (poll) => `You can only vote once every ${poll.vote_cooldown_minutes} minutes for this poll`
+};
+
+// Key identifying a voter (account or guest) in Redis markers and locks
+const voterKey = (voter) => voter.guestId ? `guest:${voter.guestId}` : voter.userId;
+
+// Work out whether a voter ({ userId } or { guestId }) may vote in a poll right now,
+// and if not, when they next can
+// (poll needs id, vote_frequency, votes_per_day and vote_cooldown_minutes)
+const getVoteEligibility = async (poll, voter, db = pool) => {
+    const frequency = poll.vote_frequency || 'daily';
+    const voterColumn = voter.guestId ? 'guest_id' : 'user_id';
+
+    const result = await db.query(`
+    SELECT
+      COUNT(*) as total_votes,
+      COUNT(*) FILTER (WHERE voted_at >= date_trunc('day', CURRENT_TIMESTAMP)) as votes_today,
+      COUNT(*) FILTER (WHERE voted_at >= date_trunc('hour', CURRENT_TIMESTAMP)) as votes_this_hour,
+      MAX(voted_at) as last_voted_at,
+      MAX(voted_at) + make_interval(mins => $3) as cooldown_ends_at,
+      date_trunc('day', CURRENT_TIMESTAMP) + INTERVAL '1 day' as next_day,
+      date_trunc('hour', CURRENT_TIMESTAMP) + INTERVAL '1 hour' as next_hour,
+      CURRENT_TIMESTAMP as now
+    FROM vote_records
+    WHERE ${voterColumn} = $1 AND poll_id = $2
+  `, [voter.guestId || voter.userId, poll.id, poll.vote_cooldown_minutes || 0]);
+
+    const stats = result.rows[0];
+    const votesToday = parseInt(stats.votes_today);
+
+    let blocked = false;
+    let nextEligibleAt = null;
+
+    switch (frequency) {
+        case 'once':
+            blocked = parseInt(stats.total_votes) > 0;
+            break;
+        case 'daily':
+            blocked = votesToday > 0;
+            nextEligibleAt = stats.next_day;
+            break;
+        case 'daily_limit':
+            blocked = votesToday >= (poll.votes_per_day || 1);
+            nextEligibleAt = stats.next_day;
+            break;
+        case 'hourly':
+            blocked = parseInt(stats.votes_this_hour) > 0;
+            nextEligibleAt = stats.next_hour;
+            break;
+        case 'cooldown':
+            blocked = stats.cooldown_ends_at !== null && new Date(stats.cooldown_ends_at) > new Date(stats.now);
+            nextEligibleAt = stats.cooldown_ends_at;
+            break;
+    }
+
+    if (!blocked) {
+        return { canVote: true, votesToday, lastVotedAt: stats.last_voted_at, nextEligibleAt: null };
+    }
+
+    return {
+        canVote: false,
+        reason: blockedReasons[frequency](poll),
+        votesToday,
+        lastVotedAt: stats.last_voted_at,
+        nextEligibleAt
+    };
+};
+
+module.exports = {
+    VOTE_FREQUENCIES,
+    voterKey,
+    getVoteEligibility
+};